@@ -0,0 +1,222 @@
+/**
+ * Download CLI Check Script
+ *
+ * Runs src/download-videos.js against scripts/fake-yt-dlp.js in a
+ * temporary folder and checks video selection, skipping finished files,
+ * resuming partial ones, rebuilding a deleted manifest, concurrency,
+ * failures and the --json summary. Needs neither a network nor yt-dlp.
+ *
+ * Usage:
+ * npm test
+ */
+
+const assert = require('assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'src', 'download-videos.js');
+const FAKE_DOWNLOADER = path.join(__dirname, 'fake-yt-dlp.js');
+
+const LIBRARY = [
+  { id: 'AAAAAAAAAA1', title: 'First', emoji: '🐶' },
+  { id: 'AAAAAAAAAA2', title: 'Second', emoji: '🐱' },
+  { id: 'not a video', title: 'Invalid ID' },
+  { id: 'AAAAAAAAAA3', title: 'Third', emoji: '🐭' },
+  { id: 'AAAAAAAAAA4', title: 'Fourth', emoji: '🐹' }
+];
+const [FIRST, SECOND, , THIRD, FOURTH] = LIBRARY.map((video) => video.id);
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kids-download-check-'));
+const libraryFile = path.join(workDir, 'library.json');
+const outputDir = path.join(workDir, 'videos');
+const logFile = path.join(workDir, 'downloader.log');
+
+// Run the CLI with the fake downloader; returns { status, summary, stderr }
+function run(args, env = {}) {
+  const result = spawnSync(
+    process.execPath,
+    [
+      CLI,
+      '--library', libraryFile,
+      '--output', outputDir,
+      '--downloader', FAKE_DOWNLOADER,
+      '--json',
+      ...args
+    ],
+    {
+      encoding: 'utf8',
+      timeout: 60000,
+      env: { ...process.env, FAKE_YTDLP_LOG: logFile, ...env }
+    }
+  );
+  let summary = null;
+  try {
+    summary = JSON.parse(result.stdout);
+  } catch {
+    // No summary, e.g. after an option error
+  }
+  return { status: result.status, summary, stderr: result.stderr };
+}
+
+// Status of each video in a --json summary: { [id]: status }
+function statuses(summary) {
+  return Object.fromEntries(summary.videos.map((video) => [video.id, video.status]));
+}
+
+function readManifest() {
+  return JSON.parse(fs.readFileSync(path.join(outputDir, 'manifest.json'), 'utf8'));
+}
+
+// Downloader log entries since the given line count
+function readLog(fromLine = 0) {
+  if (!fs.existsSync(logFile)) {
+    return [];
+  }
+  return fs
+    .readFileSync(logFile, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .slice(fromLine)
+    .map((line) => JSON.parse(line));
+}
+
+// Most downloads that were running at the same time
+function maxOverlap(events) {
+  let running = 0;
+  let max = 0;
+  [...events]
+    .sort((a, b) => a.time - b.time || (a.event === 'end' ? -1 : 1))
+    .forEach((entry) => {
+      running += entry.event === 'start' ? 1 : -1;
+      max = Math.max(max, running);
+    });
+  return max;
+}
+
+const checks = [
+  ['selects videos by range, skipping invalid IDs', () => {
+    const { status, summary } = run(['--range', '2-3']);
+    assert.equal(status, 0);
+    assert.deepEqual(statuses(summary), { [SECOND]: 'downloaded', [THIRD]: 'downloaded' });
+    assert.deepEqual(Object.keys(readManifest().videos).sort(), [SECOND, THIRD]);
+    const entry = summary.videos[0];
+    assert.equal(entry.file, `${SECOND}.mp4`);
+    assert.equal(entry.duration, 42);
+    assert.ok(entry.size > 0);
+  }],
+
+  ['skips videos that are already downloaded', () => {
+    const { status, summary } = run(['--all']);
+    assert.equal(status, 0);
+    assert.deepEqual(statuses(summary), {
+      [FIRST]: 'downloaded',
+      [SECOND]: 'skipped',
+      [THIRD]: 'skipped',
+      [FOURTH]: 'downloaded'
+    });
+    assert.deepEqual(summary.counts, {
+      selected: 4,
+      downloaded: 2,
+      skipped: 2,
+      planned: 0,
+      failed: 0
+    });
+  }],
+
+  ['resumes a partial download', () => {
+    fs.rmSync(path.join(outputDir, `${FIRST}.mp4`));
+    fs.writeFileSync(path.join(outputDir, `${FIRST}.mp4.part`), 'half a video\n');
+    const logStart = readLog().length;
+    const { status, summary } = run(['--ids', FIRST]);
+    assert.equal(status, 0);
+    assert.deepEqual(statuses(summary), { [FIRST]: 'downloaded' });
+    assert.equal(readLog(logStart)[0].resumed, true);
+    assert.ok(!fs.existsSync(path.join(outputDir, `${FIRST}.mp4.part`)));
+  }],
+
+  ['rebuilds a deleted manifest without taking the poster for the video', () => {
+    fs.writeFileSync(path.join(outputDir, `${FOURTH}.jpg`), 'poster');
+    fs.rmSync(path.join(outputDir, 'manifest.json'));
+    const { status, summary } = run(['--ids', FOURTH]);
+    assert.equal(status, 0);
+    assert.equal(summary.videos[0].status, 'skipped');
+    assert.equal(summary.videos[0].file, `${FOURTH}.mp4`);
+    assert.equal(summary.videos[0].poster, `${FOURTH}.jpg`);
+    assert.equal(readManifest().videos[FOURTH].file, `${FOURTH}.mp4`);
+  }],
+
+  ['downloads several videos at once with --concurrency', () => {
+    const logStart = readLog().length;
+    const { status, summary } = run(['--all', '--force', '--concurrency', '2'], {
+      FAKE_YTDLP_DELAY: '300'
+    });
+    assert.equal(status, 0);
+    assert.equal(maxOverlap(readLog(logStart)), 2);
+    // The summary keeps library order however the downloads finish
+    assert.deepEqual(
+      summary.videos.map((video) => video.id),
+      [FIRST, SECOND, THIRD, FOURTH]
+    );
+  }],
+
+  ['downloads one at a time by default', () => {
+    const logStart = readLog().length;
+    const { status } = run(['--range', '1-2', '--force'], { FAKE_YTDLP_DELAY: '100' });
+    assert.equal(status, 0);
+    assert.equal(maxOverlap(readLog(logStart)), 1);
+  }],
+
+  ['reports failed downloads and exits with code 1', () => {
+    const { status, summary } = run(['--range', '1-2', '--force'], { FAKE_YTDLP_FAIL: SECOND });
+    assert.equal(status, 1);
+    assert.deepEqual(statuses(summary), { [FIRST]: 'downloaded', [SECOND]: 'failed' });
+    assert.match(summary.videos[1].error, /Video unavailable/);
+    // The earlier file is kept
+    assert.ok(readManifest().videos[SECOND]);
+  }],
+
+  ['plans without downloading on --dry-run', () => {
+    fs.rmSync(path.join(outputDir, `${THIRD}.mp4`));
+    fs.rmSync(path.join(outputDir, 'manifest.json'));
+    const logStart = readLog().length;
+    const { status, summary } = run(['--ids', `${THIRD},${FOURTH}`, '--dry-run']);
+    assert.equal(status, 0);
+    assert.deepEqual(statuses(summary), { [THIRD]: 'planned', [FOURTH]: 'skipped' });
+    assert.equal(summary.dryRun, true);
+    assert.equal(readLog(logStart).length, 0);
+    assert.ok(!fs.existsSync(path.join(outputDir, 'manifest.json')));
+  }],
+
+  ['rejects bad options with code 2', () => {
+    assert.equal(run(['--all', '--range', '1-2']).status, 2);
+    assert.equal(run(['--concurrency', '0']).status, 2);
+    assert.equal(run(['--ids', 'AAAAAAAAAA9']).status, 2);
+  }]
+];
+
+function main() {
+  fs.writeFileSync(libraryFile, JSON.stringify(LIBRARY));
+  let failures = 0;
+  try {
+    checks.forEach(([name, check]) => {
+      try {
+        check();
+        console.log(`✅ ${name}`);
+      } catch (err) {
+        failures += 1;
+        console.log(`❌ ${name}\n   ${err.message.split('\n').join('\n   ')}`);
+      }
+    });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n${checks.length - failures} of ${checks.length} checks passed`);
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Fake yt-dlp for checking the video downloader
+ *
+ * Accepts the arguments src/download-videos.js passes to yt-dlp and
+ * "downloads" a small text file instead of a video, so the downloader can
+ * be run without a network or yt-dlp:
+ *
+ *   npm run download-videos -- --downloader scripts/fake-yt-dlp.js
+ *
+ * Like yt-dlp it writes <dir>/<id>.mp4 from the -o template, finishes a
+ * leftover <id>.mp4.part instead of starting over, and prints
+ * { filepath, duration } to the --print-to-file info file.
+ *
+ * Environment:
+ * - FAKE_YTDLP_LOG    File to append one JSON line per start/end to
+ *                     ({ id, event, time, resumed })
+ * - FAKE_YTDLP_DELAY  Milliseconds each download takes (default: 0)
+ * - FAKE_YTDLP_FAIL   Comma-separated video IDs that fail with exit code 1
+ */
+
+const fs = require('fs');
+
+const DURATION = 42; // Seconds reported for every video
+
+function logEvent(id, event, extra = {}) {
+  if (process.env.FAKE_YTDLP_LOG) {
+    const line = JSON.stringify({ id, event, time: Date.now(), ...extra });
+    fs.appendFileSync(process.env.FAKE_YTDLP_LOG, `${line}\n`);
+  }
+}
+
+// Value following a flag, e.g. valueOf(args, '-o')
+function valueOf(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--version')) {
+    console.log('fake-yt-dlp 1.0');
+    return;
+  }
+
+  const url = args[args.length - 1];
+  const id = new URL(url).searchParams.get('v');
+  const outputPath = valueOf(args, '-o').replace('%(ext)s', 'mp4');
+  const printIndex = args.indexOf('--print-to-file');
+  const infoPath = printIndex === -1 ? undefined : args[printIndex + 2];
+
+  const partPath = `${outputPath}.part`;
+  const resumed = fs.existsSync(partPath);
+  logEvent(id, 'start', { resumed });
+  console.log(`[youtube] ${id}: Downloading${resumed ? ' (resuming)' : ''}`);
+
+  const delay = Number(process.env.FAKE_YTDLP_DELAY) || 0;
+  await new Promise((resolve) => setTimeout(resolve, delay));
+
+  const failIds = (process.env.FAKE_YTDLP_FAIL || '').split(',');
+  if (failIds.includes(id)) {
+    logEvent(id, 'end', { failed: true });
+    console.error(`ERROR: [youtube] ${id}: Video unavailable`);
+    process.exit(1);
+  }
+
+  fs.appendFileSync(partPath, `fake video ${id}\n`);
+  fs.renameSync(partPath, outputPath);
+  if (infoPath) {
+    fs.writeFileSync(infoPath, JSON.stringify({ filepath: outputPath, duration: DURATION }));
+  }
+  console.log(`[download] 100% of ${fs.statSync(outputPath).size}B`);
+  logEvent(id, 'end');
+}
+
+main().catch((err) => {
+  console.error(`ERROR: ${err.message}`);
+  process.exit(1);
+});
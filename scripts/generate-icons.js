@@ -1,84 +1,251 @@
 /**
- * Icon Generation Script
+ * PWA Asset Generation Script
  *
- * This script generates PNG icons from SVG files for PWA support.
- * Run this script before building for production if you need PNG icons.
+ * Renders every icon and splash screen the app needs from public/icon-512.svg:
+ * - public/icons/icon-<size>.png      manifest icons ("any")
+ * - public/icons/maskable-<size>.png  maskable icons, artwork inside the safe zone
+ * - public/apple-touch-icon.png       iOS home-screen icon (opaque, full-bleed)
+ * - public/favicon.ico                multi-resolution favicon (16, 32, 48)
+ * - public/splash/*.png               iOS launch screens, portrait and landscape
+ *
+ * It then writes scripts/pwa-assets.json (read by vite.config.js for the
+ * manifest icons) and rewrites the generated <link> block in index.html.
+ * Commit the results; the build itself doesn't need sharp.
  *
  * Requirements:
  * - Node.js 18+
  * - sharp package (npm install sharp --save-dev)
  *
  * Usage:
- * node scripts/generate-icons.js
+ * npm run generate-icons
  */
 
 const fs = require('fs');
 const path = require('path');
 
+const ROOT = path.join(__dirname, '..');
+const PUBLIC_DIR = path.join(ROOT, 'public');
+const SOURCE_SVG = path.join(PUBLIC_DIR, 'icon-512.svg');
+const ASSETS_FILE = path.join(__dirname, 'pwa-assets.json');
+const INDEX_HTML = path.join(ROOT, 'index.html');
+
+// Keep in sync with theme_color / background_color in vite.config.js
+const THEME_COLOR = '#6B5CE7';
+const THEME_COLOR_DARK = '#4B3CC7';
+const BACKGROUND_COLOR = '#1a1a2e';
+
+const ICON_SIZES = [48, 72, 96, 128, 144, 152, 192, 256, 384, 512];
+const MASKABLE_SIZES = [192, 512];
+const APPLE_TOUCH_SIZE = 180;
+const FAVICON_SIZES = [16, 32, 48];
+
+// Maskable icons may be cropped to a circle of 80% of the size - keep the
+// artwork well inside it
+const MASKABLE_ARTWORK_SCALE = 0.7;
+// Icon size on the splash screens, relative to the shorter side
+const SPLASH_ICON_SCALE = 0.25;
+
+// iOS launch screens: CSS viewport size and pixel ratio (portrait)
+const SPLASH_DEVICES = [
+  { name: 'iPad Pro 12.9"', width: 1024, height: 1366, ratio: 2 },
+  { name: 'iPad Pro 11"', width: 834, height: 1194, ratio: 2 },
+  { name: 'iPad Air 10.9"', width: 820, height: 1180, ratio: 2 },
+  { name: 'iPad 10.2"', width: 810, height: 1080, ratio: 2 },
+  { name: 'iPad mini 8.3"', width: 744, height: 1133, ratio: 2 },
+  { name: 'iPad 9.7" / mini', width: 768, height: 1024, ratio: 2 },
+  { name: 'iPhone Pro Max', width: 430, height: 932, ratio: 3 },
+  { name: 'iPhone Pro', width: 393, height: 852, ratio: 3 },
+  { name: 'iPhone 12-14', width: 390, height: 844, ratio: 3 },
+  { name: 'iPhone 12-13 Pro Max / 14 Plus', width: 428, height: 926, ratio: 3 },
+  { name: 'iPhone 11 Pro Max / XS Max', width: 414, height: 896, ratio: 3 },
+  { name: 'iPhone 11 / XR', width: 414, height: 896, ratio: 2 },
+  { name: 'iPhone X / XS / 11 Pro', width: 375, height: 812, ratio: 3 },
+  { name: 'iPhone 8 Plus', width: 414, height: 736, ratio: 3 },
+  { name: 'iPhone 8 / SE', width: 375, height: 667, ratio: 2 }
+];
+
+const HTML_START = '<!-- PWA assets (generated by scripts/generate-icons.js) -->';
+const HTML_END = '<!-- /PWA assets -->';
+
 // Check if sharp is available
 let sharp;
 try {
   sharp = require('sharp');
-} catch (e) {
-  console.log('Note: sharp not installed. Using SVG icons directly.');
-  console.log('For PNG icons, run: npm install sharp --save-dev');
+} catch {
+  console.error('sharp is required to render the icons.');
+  console.error('Run: npm install sharp --save-dev');
+  process.exit(1);
+}
+
+// Full-bleed square in the icon's gradient
+function gradientBackground(size) {
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+      <defs>
+        <linearGradient id="bg" x1="0%" y1="0%" x2="100%" y2="100%">
+          <stop offset="0%" stop-color="${THEME_COLOR}"/>
+          <stop offset="100%" stop-color="${THEME_COLOR_DARK}"/>
+        </linearGradient>
+      </defs>
+      <rect width="${size}" height="${size}" fill="url(#bg)"/>
+    </svg>`
+  );
+}
 
-  // Create simple redirect files
-  const publicDir = path.join(__dirname, '..', 'public');
+// Source icon rendered at the given size
+function renderIcon(svg, size) {
+  return sharp(svg, { density: Math.max(72, (72 * size) / 512) })
+    .resize(size, size)
+    .png()
+    .toBuffer();
+}
 
-  // Create a simple HTML that redirects icon requests
-  const sizes = [192, 512];
+// Icon centered on an opaque gradient square (no transparent corners)
+async function renderOnBackground(svg, size, artworkScale) {
+  const artworkSize = Math.round(size * artworkScale);
+  const artwork = await renderIcon(svg, artworkSize);
+  return sharp(gradientBackground(size))
+    .composite([{ input: artwork, gravity: 'centre' }])
+    .png()
+    .toBuffer();
+}
 
-  sizes.forEach((size) => {
-    const svgPath = path.join(publicDir, `icon-${size}.svg`);
-    const pngPath = path.join(publicDir, `icon-${size}.png`);
+// Icon centered on a solid background (iOS launch screen)
+async function renderSplash(svg, width, height) {
+  const iconSize = Math.round(Math.min(width, height) * SPLASH_ICON_SCALE);
+  const icon = await renderIcon(svg, iconSize);
+  return sharp({
+    create: { width, height, channels: 3, background: BACKGROUND_COLOR }
+  })
+    .composite([{ input: icon, gravity: 'centre' }])
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
 
-    if (fs.existsSync(svgPath) && !fs.existsSync(pngPath)) {
-      // Copy SVG content to a temporary PNG placeholder
-      // In production, you'd generate actual PNGs
-      console.log(`SVG icon available at: icon-${size}.svg`);
-    }
+// ICO file with PNG-compressed entries (supported by every current browser)
+function buildIco(images) {
+  const headerSize = 6;
+  const entrySize = 16;
+  const header = Buffer.alloc(headerSize);
+  header.writeUInt16LE(0, 0); // Reserved
+  header.writeUInt16LE(1, 2); // Type: icon
+  header.writeUInt16LE(images.length, 4);
+
+  let offset = headerSize + entrySize * images.length;
+  const entries = images.map(({ size, data }) => {
+    const entry = Buffer.alloc(entrySize);
+    entry.writeUInt8(size >= 256 ? 0 : size, 0); // Width (0 means 256)
+    entry.writeUInt8(size >= 256 ? 0 : size, 1); // Height
+    entry.writeUInt8(0, 2); // No palette
+    entry.writeUInt8(0, 3); // Reserved
+    entry.writeUInt16LE(1, 4); // Color planes
+    entry.writeUInt16LE(32, 6); // Bits per pixel
+    entry.writeUInt32LE(data.length, 8);
+    entry.writeUInt32LE(offset, 12);
+    offset += data.length;
+    return entry;
   });
 
-  process.exit(0);
+  return Buffer.concat([header, ...entries, ...images.map(({ data }) => data)]);
 }
 
-// Generate PNG icons from SVG
-async function generateIcons() {
-  const publicDir = path.join(__dirname, '..', 'public');
-  const sizes = [192, 512];
-
-  for (const size of sizes) {
-    const svgPath = path.join(publicDir, `icon-${size}.svg`);
-    const pngPath = path.join(publicDir, `icon-${size}.png`);
+// Write a file below public/ and return its public path
+function writePublic(relativePath, data) {
+  const file = path.join(PUBLIC_DIR, relativePath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, data);
+  console.log(`Created: ${relativePath}`);
+  return relativePath;
+}
 
-    if (fs.existsSync(svgPath)) {
-      console.log(`Generating ${size}x${size} PNG...`);
+// Replace the generated block in index.html with the new <link> tags
+function updateIndexHtml(assets) {
+  const html = fs.readFileSync(INDEX_HTML, 'utf8');
+  const start = html.indexOf(HTML_START);
+  const end = html.indexOf(HTML_END);
+  if (start === -1 || end === -1) {
+    console.warn(`index.html has no "${HTML_START}" block - not updated`);
+    return;
+  }
 
-      await sharp(svgPath)
-        .resize(size, size)
-        .png()
-        .toFile(pngPath);
+  const indent = html.slice(html.lastIndexOf('\n', start) + 1, start);
+  const links = [
+    '<link rel="icon" type="image/svg+xml" href="/icon-192.svg" />',
+    `<link rel="icon" href="/${assets.favicon}" sizes="any" />`,
+    `<link rel="apple-touch-icon" href="/${assets.appleTouchIcon}" />`,
+    ...assets.splashScreens.map(
+      ({ src, media }) => `<link rel="apple-touch-startup-image" href="/${src}" media="${media}" />`
+    )
+  ];
+
+  const block = [HTML_START, ...links].join(`\n${indent}`) + `\n${indent}`;
+  fs.writeFileSync(INDEX_HTML, html.slice(0, start) + block + html.slice(end));
+  console.log('Updated: index.html');
+}
 
-      console.log(`Created: icon-${size}.png`);
-    }
+async function generateAssets() {
+  if (!fs.existsSync(SOURCE_SVG)) {
+    throw new Error(`Source icon not found: ${SOURCE_SVG}`);
   }
+  const svg = fs.readFileSync(SOURCE_SVG);
+  const icons = [];
 
-  // Generate favicon
-  const svg192 = path.join(publicDir, 'icon-192.svg');
-  const faviconPath = path.join(publicDir, 'favicon.ico');
-
-  if (fs.existsSync(svg192)) {
-    console.log('Generating favicon...');
+  console.log('Generating manifest icons...');
+  for (const size of ICON_SIZES) {
+    const src = writePublic(`icons/icon-${size}.png`, await renderIcon(svg, size));
+    icons.push({ src, sizes: `${size}x${size}`, type: 'image/png' });
+  }
 
-    await sharp(svg192)
-      .resize(32, 32)
-      .toFile(faviconPath.replace('.ico', '.png'));
+  console.log('Generating maskable icons...');
+  for (const size of MASKABLE_SIZES) {
+    const image = await renderOnBackground(svg, size, MASKABLE_ARTWORK_SCALE);
+    const src = writePublic(`icons/maskable-${size}.png`, image);
+    icons.push({ src, sizes: `${size}x${size}`, type: 'image/png', purpose: 'maskable' });
+  }
 
-    console.log('Created: favicon.png (rename to favicon.ico if needed)');
+  console.log('Generating apple-touch-icon...');
+  // iOS fills transparent corners with black and rounds the icon itself
+  const appleTouchIcon = writePublic(
+    'apple-touch-icon.png',
+    await renderOnBackground(svg, APPLE_TOUCH_SIZE, 1)
+  );
+
+  console.log('Generating favicon...');
+  const faviconImages = await Promise.all(
+    FAVICON_SIZES.map(async (size) => ({ size, data: await renderIcon(svg, size) }))
+  );
+  const favicon = writePublic('favicon.ico', buildIco(faviconImages));
+
+  console.log('Generating splash screens...');
+  const splashScreens = [];
+  for (const device of SPLASH_DEVICES) {
+    const { width, height, ratio } = device;
+    const orientations = [
+      { orientation: 'portrait', pixelWidth: width * ratio, pixelHeight: height * ratio },
+      { orientation: 'landscape', pixelWidth: height * ratio, pixelHeight: width * ratio }
+    ];
+    for (const { orientation, pixelWidth, pixelHeight } of orientations) {
+      const image = await renderSplash(svg, pixelWidth, pixelHeight);
+      const src = writePublic(`splash/splash-${pixelWidth}x${pixelHeight}.png`, image);
+      splashScreens.push({
+        src,
+        device: device.name,
+        media:
+          `(device-width: ${width}px) and (device-height: ${height}px) and ` +
+          `(-webkit-device-pixel-ratio: ${ratio}) and (orientation: ${orientation})`
+      });
+    }
   }
 
-  console.log('Icon generation complete!');
+  const assets = { icons, appleTouchIcon, favicon, splashScreens };
+  fs.writeFileSync(ASSETS_FILE, JSON.stringify(assets, null, 2) + '\n');
+  console.log(`Updated: ${path.relative(ROOT, ASSETS_FILE)}`);
+
+  updateIndexHtml(assets);
+  console.log('Asset generation complete!');
 }
 
-generateIcons().catch(console.error);
+generateAssets().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+/**
+ * Bundled Thumbnails Vite Plugin
+ *
+ * At build time, fetches the YouTube thumbnail of every video in the
+ * default libraries and emits it as dist/thumbnails/<id>.jpg, so a fresh
+ * install shows every card without reaching img.youtube.com. The app
+ * learns which thumbnails were bundled from the virtual module
+ * "virtual:bundled-thumbnails" (an array of video IDs; empty in dev).
+ *
+ * Thumbnails are cached in node_modules/.cache/bundled-thumbnails, so
+ * later builds work offline. With sharp installed they are resized and
+ * recompressed; without it the 320x180 YouTube JPEG is used as is.
+ *
+ * Options:
+ * - libraries: library JSON files to read (default: videos.json and videos-full.json)
+ * - fixtureDir: read <id>.jpg from this directory instead of the network
+ *   (also $THUMBNAIL_FIXTURES), e.g. for tests or offline builds
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VIRTUAL_ID = 'virtual:bundled-thumbnails';
+const RESOLVED_VIRTUAL_ID = `\0${VIRTUAL_ID}`;
+const OUTPUT_DIR = 'thumbnails';
+const ROOT = path.join(__dirname, '..');
+const CACHE_DIR = path.join(ROOT, 'node_modules', '.cache', 'bundled-thumbnails');
+const DEFAULT_LIBRARIES = [
+  path.join(ROOT, 'src', 'data', 'videos.json'),
+  path.join(ROOT, 'src', 'data', 'videos-full.json')
+];
+const THUMBNAIL_URL = (id) => `https://img.youtube.com/vi/${id}/mqdefault.jpg`;
+const FETCH_TIMEOUT = 5000;
+const FETCH_CONCURRENCY = 8;
+const THUMBNAIL_WIDTH = 320;
+const VIDEO_ID = /^[\w-]{11}$/;
+
+// Check if sharp is available
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch {
+  // Thumbnails are bundled without recompressing
+}
+
+// Unique video IDs from the library files
+function readVideoIds(libraries) {
+  const ids = new Set();
+  libraries.forEach((file) => {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const videos = Array.isArray(data) ? data : data.videos || [];
+      videos.forEach((video) => {
+        if (video && VIDEO_ID.test(video.id)) {
+          ids.add(video.id);
+        }
+      });
+    } catch (err) {
+      console.warn(`[thumbnails] Skipping ${file}: ${err.message}`);
+    }
+  });
+  return [...ids];
+}
+
+// Download one thumbnail. Throws a TypeError/AbortError when offline.
+async function fetchThumbnail(id) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+  try {
+    const response = await fetch(THUMBNAIL_URL(id), { signal: controller.signal });
+    if (!response.ok) {
+      return null;
+    }
+    return Buffer.from(await response.arrayBuffer());
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Resize and recompress when sharp is installed
+async function optimize(image) {
+  if (!sharp) {
+    return image;
+  }
+  try {
+    return await sharp(image)
+      .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+      .jpeg({ quality: 70, mozjpeg: true })
+      .toBuffer();
+  } catch {
+    return image;
+  }
+}
+
+// Thumbnail for one video: fixture, disk cache, then network
+async function loadThumbnail(id, { fixtureDir, state }) {
+  if (fixtureDir) {
+    const fixture = path.join(fixtureDir, `${id}.jpg`);
+    return fs.existsSync(fixture) ? optimize(fs.readFileSync(fixture)) : null;
+  }
+
+  const cached = path.join(CACHE_DIR, `${id}.jpg`);
+  if (fs.existsSync(cached)) {
+    return fs.readFileSync(cached);
+  }
+  if (state.isOffline) {
+    return null;
+  }
+
+  let image;
+  try {
+    image = await fetchThumbnail(id);
+  } catch {
+    // No network - don't wait for every remaining thumbnail to time out
+    state.isOffline = true;
+    return null;
+  }
+  if (!image) {
+    return null;
+  }
+  const optimized = await optimize(image);
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  fs.writeFileSync(cached, optimized);
+  return optimized;
+}
+
+function bundledThumbnails(options = {}) {
+  const libraries = options.libraries || DEFAULT_LIBRARIES;
+  const fixtureDir = options.fixtureDir || process.env.THUMBNAIL_FIXTURES || null;
+  let isBuild = false;
+  // Video ID -> image buffer
+  let thumbnails = new Map();
+
+  return {
+    name: 'bundled-thumbnails',
+
+    configResolved(config) {
+      isBuild = config.command === 'build';
+    },
+
+    async buildStart() {
+      thumbnails = new Map();
+      if (!isBuild) {
+        return;
+      }
+
+      const ids = readVideoIds(libraries);
+      const state = { isOffline: false };
+      let next = 0;
+      const workers = Array.from({ length: FETCH_CONCURRENCY }, async () => {
+        while (next < ids.length) {
+          const id = ids[next++];
+          const image = await loadThumbnail(id, { fixtureDir, state });
+          if (image) {
+            thumbnails.set(id, image);
+          }
+        }
+      });
+      await Promise.all(workers);
+
+      const missing = ids.length - thumbnails.size;
+      const source = fixtureDir ? `fixtures in ${fixtureDir}` : 'YouTube';
+      console.log(
+        `[thumbnails] Bundled ${thumbnails.size} of ${ids.length} thumbnails from ${source}` +
+          (sharp ? '' : ' (install sharp to recompress them)')
+      );
+      if (missing > 0) {
+        console.warn(
+          `[thumbnails] ${missing} missing${state.isOffline ? ' (offline)' : ''} - ` +
+            'those cards load their thumbnail from YouTube'
+        );
+      }
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_VIRTUAL_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_VIRTUAL_ID) {
+        return null;
+      }
+      return `export default ${JSON.stringify([...thumbnails.keys()])};`;
+    },
+
+    generateBundle() {
+      thumbnails.forEach((image, id) => {
+        this.emitFile({ type: 'asset', fileName: `${OUTPUT_DIR}/${id}.jpg`, source: image });
+      });
+    }
+  };
+}
+
+module.exports = bundledThumbnails;
@@ -1,9 +1,32 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import VideoGrid from './components/VideoGrid';
 import VideoPlayer from './components/VideoPlayer';
 import ParentalGate from './components/ParentalGate';
 import SettingsPanel from './components/SettingsPanel';
-import videos from './data/videos.json';
+import UndoToast from './components/UndoToast';
+import TimeUpScreen from './components/TimeUpScreen';
+import SleepingScreen from './components/SleepingScreen';
+import ProfilePicker from './components/ProfilePicker';
+import useProfiles from './hooks/useProfiles';
+import useScreenTime from './hooks/useScreenTime';
+import useSchedule from './hooks/useSchedule';
+import usePlaybackPositions from './hooks/usePlaybackPositions';
+import useWatchHistory from './hooks/useWatchHistory';
+import useOfflineVideos from './hooks/useOfflineVideos';
+import useVideoManifest from './hooks/useVideoManifest';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import useAppUpdate from './hooks/useAppUpdate';
+import useParentLock from './hooks/useParentLock';
+import useLibraryHistory from './hooks/useLibraryHistory';
+import useCoverImages from './hooks/useCoverImages';
+import { resolveEndBehavior, getNextVideo, getEndAction } from './utils/playback';
+import { applyImport } from './utils/libraryFile';
+import { moveItem } from './utils/reorder';
+import { restoreVideo } from './utils/libraryHistory';
+import { getConfig, getDefaultLibrary } from './utils/config';
+
+// Extra time a parent can grant outside the allowed hours
+const SCHEDULE_OVERRIDE_MINUTES = 15;
 
 /**
  * Kids Video Player - A "Walled Garden" Video App
@@ -13,81 +36,406 @@ import videos from './data/videos.json';
  * recommendations, comments, or any external links.
  */
 function App() {
-  // Current view state: 'grid', 'player', or 'settings'
-  const [currentView, setCurrentView] = useState('grid');
+  // Gate options and feature toggles from config.json
+  const { gate: gateOptions, features } = getConfig();
+
+  // Child profiles, each with its own library and settings
+  const {
+    profiles,
+    activeProfile,
+    selectProfile,
+    addProfile,
+    removeProfile,
+    updateProfileDetails,
+    setLibrary: setVideoLibrary,
+    setCollections,
+    updateSettings: handleUpdateSettings
+  } = useProfiles();
+  const { library: videoLibrary, collections, settings } = activeProfile;
+
+  // Current view state: 'profiles', 'grid', 'player', or 'settings'.
+  // With several children, start on the profile picker.
+  const [currentView, setCurrentView] = useState(() =>
+    features.profiles && profiles.length > 1 ? 'profiles' : 'grid'
+  );
 
   // Currently selected video for playback
   const [selectedVideo, setSelectedVideo] = useState(null);
 
-  // Parental gate state
-  const [showParentalGate, setShowParentalGate] = useState(false);
-
-  // Video library (can be extended via settings)
-  const [videoLibrary, setVideoLibrary] = useState(() => {
-    // Try to load custom videos from localStorage
-    const saved = localStorage.getItem('kidsVideoLibrary');
-    if (saved) {
-      try {
-        return JSON.parse(saved);
-      } catch {
-        return videos;
-      }
-    }
-    return videos;
-  });
+  // How many videos have played in a row since the child picked one
+  const [playedCount, setPlayedCount] = useState(0);
 
-  // Save video library changes
-  useEffect(() => {
-    localStorage.setItem('kidsVideoLibrary', JSON.stringify(videoLibrary));
-  }, [videoLibrary]);
+  // Collection (series) opened in the grid, or null for the collection tiles
+  const [openCollectionId, setOpenCollectionId] = useState(null);
+
+  // Parent PIN, enabled gate methods and lockout after failed attempts
+  const parentLock = useParentLock(gateOptions.maxAttempts);
+
+  // Parental gate state: null, or what a successful unlock leads to
+  // ('settings', 'timeUp', 'scheduleOverride', 'switchProfile', 'createProfile'
+  // or 'applyUpdate')
+  const [gatePurpose, setGatePurpose] = useState(null);
+
+  // Profile waiting for a parental gate unlock before switching to it
+  const [pendingProfileId, setPendingProfileId] = useState(null);
+
+  // Whether the new-profile form is open on the profile picker
+  const [isCreatingProfile, setIsCreatingProfile] = useState(false);
+
+  // Whether the player is currently playing (drives screen-time counting)
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  // Daily screen-time budget (per profile)
+  const { secondsWatched, unlocked, unlockForToday, resetToday } = useScreenTime(
+    isPlaying,
+    activeProfile.id
+  );
+  const dailyLimitSeconds = settings.dailyLimitMinutes * 60;
+  const isBudgetActive = features.screenTime && dailyLimitSeconds > 0 && !unlocked;
+  const remainingSeconds = Math.max(0, dailyLimitSeconds - secondsWatched);
+  const isTimeUp = isBudgetActive && remainingSeconds <= 0;
+  const isWindingDown =
+    isBudgetActive && !isTimeUp && remainingSeconds <= settings.windDownMinutes * 60;
+
+  // Where each video was left off (per profile)
+  const { positions, savePosition, clearPositions } = usePlaybackPositions(activeProfile.id);
+
+  // Local-only watch history (per profile)
+  const { history, recordWatch, clearHistory } = useWatchHistory(activeProfile.id);
+
+  // Recycle bin and library snapshots (per profile)
+  const {
+    recycleBin,
+    snapshots,
+    recycleVideos,
+    unrecycleVideos,
+    emptyRecycleBin,
+    takeSnapshot,
+    removeSnapshot
+  } = useLibraryHistory(activeProfile.id);
+
+  // Last library change that can be undone from the toast:
+  // { id, profileId, message, videos, collections, recycledIds }
+  // Every library or collection change replaces it, so Undo only ever puts
+  // back the library as it was right before the latest change.
+  const [undoAction, setUndoAction] = useState(null);
+
+  // Videos saved on this device for offline playback (shared by all profiles)
+  const {
+    offlineVideos,
+    downloads,
+    storageEstimate,
+    downloadFromUrl,
+    saveFromFile,
+    cancelDownload,
+    removeOfflineVideo
+  } = useOfflineVideos();
+
+  // Video files bundled with the app by `npm run download-videos`
+  const localFiles = useVideoManifest();
+
+  // Cover pictures set by a parent (shared by all profiles)
+  const { coverUrls, saveCover, removeCover } = useCoverImages();
+
+  // Without internet only videos with a local copy can play
+  const isOnline = useOnlineStatus();
+  const localCopyIds = useMemo(
+    () => new Set([...Object.keys(offlineVideos), ...Object.keys(localFiles)]),
+    [offlineVideos, localFiles]
+  );
+  const playableLibrary = useMemo(
+    () => (isOnline ? videoLibrary : videoLibrary.filter((v) => localCopyIds.has(v.id))),
+    [isOnline, videoLibrary, localCopyIds]
+  );
 
   // Handle video selection from the grid
   const handleVideoSelect = useCallback((video) => {
     setSelectedVideo(video);
+    setPlayedCount(1);
     setCurrentView('player');
   }, []);
 
+  // Handle moving on to the next video in order
+  const handlePlayNext = useCallback((video) => {
+    setSelectedVideo(video);
+    setPlayedCount((prev) => prev + 1);
+  }, []);
+
+  // What happens when the current video ends (loop, next or grid)
+  const nextVideo = selectedVideo ? getNextVideo(selectedVideo, playableLibrary, collections) : null;
+  const endBehavior = selectedVideo && resolveEndBehavior(selectedVideo, collections, settings);
+  const endAction = selectedVideo ? getEndAction(endBehavior, nextVideo, playedCount) : 'loop';
+
   // Handle returning to the grid from the player
   const handleBackToGrid = useCallback(() => {
     setSelectedVideo(null);
     setCurrentView('grid');
   }, []);
 
+  // Allowed-hours schedule (with temporary parent override, per profile)
+  const { isAllowed, extendBy } = useSchedule(settings.schedule, activeProfile.id);
+  const isWithinAllowedHours = !features.schedule || isAllowed;
+
+  // Leave the player once the daily budget runs out
+  useEffect(() => {
+    if (isTimeUp && currentView === 'player') {
+      handleBackToGrid();
+    }
+  }, [isTimeUp, currentView, handleBackToGrid]);
+
   // Handle settings button (requires parental gate)
   const handleSettingsRequest = useCallback(() => {
-    setShowParentalGate(true);
+    setGatePurpose('settings');
+  }, []);
+
+  // Handle parent unlock from the time-up screen (requires parental gate)
+  const handleTimeUpUnlockRequest = useCallback(() => {
+    setGatePurpose('timeUp');
+  }, []);
+
+  // New app version waiting for a parent to apply it
+  const { isUpdateReady, applyUpdate } = useAppUpdate();
+
+  // Set once a parent approved an update, so its reload isn't held up by
+  // the "leave site?" guard below
+  const isApplyingUpdateRef = useRef(false);
+
+  // Handle "update ready" in settings (requires parental gate)
+  const handleUpdateRequest = useCallback(() => {
+    setGatePurpose('applyUpdate');
+  }, []);
+
+  // Handle "+15 minutes" request from the sleeping screen (requires parental gate)
+  const handleScheduleOverrideRequest = useCallback(() => {
+    setGatePurpose('scheduleOverride');
+  }, []);
+
+  // Handle the profile button - back to the profile picker
+  const handleProfilesRequest = useCallback(() => {
+    setCurrentView('profiles');
+  }, []);
+
+  // Without the profiles feature there is no profile button
+  const handleProfileClick = features.profiles ? handleProfilesRequest : null;
+
+  // Handle a child tapping a profile. Staying on the current profile is
+  // free; switching to another one requires the parental gate.
+  const handleProfileSelect = useCallback(
+    (profile) => {
+      if (profile.id === activeProfile.id) {
+        setCurrentView('grid');
+        return;
+      }
+      setPendingProfileId(profile.id);
+      setGatePurpose('switchProfile');
+    },
+    [activeProfile.id]
+  );
+
+  // Handle "add child" on the profile picker (requires parental gate)
+  const handleAddProfileRequest = useCallback(() => {
+    setGatePurpose('createProfile');
+  }, []);
+
+  // Handle new profile form submit
+  const handleCreateProfile = useCallback(
+    (name, avatar) => {
+      addProfile(name, avatar);
+      setIsCreatingProfile(false);
+      setOpenCollectionId(null);
+      setCurrentView('grid');
+    },
+    [addProfile]
+  );
+
+  // Handle new profile form cancel
+  const handleCancelCreateProfile = useCallback(() => {
+    setIsCreatingProfile(false);
   }, []);
 
   // Handle successful parental gate unlock
   const handleParentalGateSuccess = useCallback(() => {
-    setShowParentalGate(false);
-    setCurrentView('settings');
-  }, []);
+    if (gatePurpose === 'timeUp') {
+      unlockForToday();
+    } else if (gatePurpose === 'scheduleOverride') {
+      extendBy(SCHEDULE_OVERRIDE_MINUTES);
+    } else if (gatePurpose === 'switchProfile') {
+      selectProfile(pendingProfileId);
+      setPendingProfileId(null);
+      setOpenCollectionId(null);
+      setCurrentView('grid');
+    } else if (gatePurpose === 'createProfile') {
+      setIsCreatingProfile(true);
+    } else if (gatePurpose === 'applyUpdate') {
+      // Never swap the app under a playing video
+      if (currentView !== 'player') {
+        isApplyingUpdateRef.current = true;
+        applyUpdate();
+      }
+    } else {
+      setCurrentView('settings');
+    }
+    setGatePurpose(null);
+  }, [
+    gatePurpose,
+    pendingProfileId,
+    currentView,
+    unlockForToday,
+    extendBy,
+    selectProfile,
+    applyUpdate
+  ]);
 
   // Handle parental gate cancel
   const handleParentalGateCancel = useCallback(() => {
-    setShowParentalGate(false);
+    setGatePurpose(null);
+    setPendingProfileId(null);
   }, []);
 
   // Handle settings close
   const handleSettingsClose = useCallback(() => {
+    setUndoAction(null);
     setCurrentView('grid');
   }, []);
 
+  // Remember the library as it is now so the change about to be made can be undone
+  const rememberUndo = useCallback((message, recycledIds = []) => {
+    setUndoAction({
+      id: Date.now(),
+      profileId: activeProfile.id,
+      message,
+      videos: videoLibrary,
+      collections,
+      recycledIds
+    });
+  }, [activeProfile.id, videoLibrary, collections]);
+
+  // Handle "Undo" on the toast: put the library back as it was
+  const handleUndo = useCallback(() => {
+    setVideoLibrary(undoAction.videos);
+    setCollections(undoAction.collections);
+    unrecycleVideos(undoAction.recycledIds);
+    setUndoAction(null);
+  }, [undoAction, setVideoLibrary, setCollections, unrecycleVideos]);
+
+  const handleDismissUndo = useCallback(() => {
+    setUndoAction(null);
+  }, []);
+
   // Handle adding a new video
   const handleAddVideo = useCallback((newVideo) => {
+    rememberUndo(`Added "${newVideo.title}"`);
     setVideoLibrary((prev) => [...prev, newVideo]);
-  }, []);
+  }, [rememberUndo, setVideoLibrary]);
+
+  // Handle adding several videos at once (bulk add)
+  const handleAddVideos = useCallback((newVideos) => {
+    rememberUndo(`Added ${newVideos.length} videos`);
+    setVideoLibrary((prev) => [...prev, ...newVideos]);
+  }, [rememberUndo, setVideoLibrary]);
 
-  // Handle removing a video
+  // Handle removing a video - it goes to the recycle bin
   const handleRemoveVideo = useCallback((videoId) => {
+    const video = videoLibrary.find((v) => v.id === videoId);
+    if (!video) {
+      return;
+    }
+    rememberUndo(`Removed "${video.title}"`, [videoId]);
+    recycleVideos([video]);
     setVideoLibrary((prev) => prev.filter((v) => v.id !== videoId));
-  }, []);
+  }, [videoLibrary, rememberUndo, recycleVideos, setVideoLibrary]);
+
+  // Handle putting a video from the recycle bin back into the library. An
+  // earlier undo would drop it again, so that one is forgotten.
+  const handleRestoreVideo = useCallback((video) => {
+    setUndoAction(null);
+    setVideoLibrary((prev) => restoreVideo(prev, video));
+    unrecycleVideos([video.id]);
+  }, [setVideoLibrary, unrecycleVideos]);
 
-  // Handle resetting to default videos
+  // Handle resetting to the default library (see config.json)
   const handleResetVideos = useCallback(() => {
+    const { videos, collections: defaultCollections } = getDefaultLibrary();
+    takeSnapshot('Before reset to defaults', videoLibrary, collections);
+    rememberUndo('Library reset to defaults');
     setVideoLibrary(videos);
-  }, []);
+    setCollections(defaultCollections);
+  }, [videoLibrary, collections, takeSnapshot, rememberUndo, setVideoLibrary, setCollections]);
+
+  // Handle importing a library file (merge or replace)
+  const handleImportLibrary = useCallback((preview, mode) => {
+    const imported = applyImport(preview, mode, videoLibrary, collections);
+    takeSnapshot(`Before import (${mode})`, videoLibrary, collections);
+    rememberUndo('Library imported');
+    setVideoLibrary(imported.videos);
+    setCollections(imported.collections);
+  }, [videoLibrary, collections, takeSnapshot, rememberUndo, setVideoLibrary, setCollections]);
+
+  // Handle rolling the library back to a snapshot (after snapshotting the current one)
+  const handleRestoreSnapshot = useCallback((snapshot) => {
+    takeSnapshot('Before rolling back', videoLibrary, collections);
+    rememberUndo(`Rolled back to "${snapshot.label}"`);
+    setVideoLibrary(snapshot.videos);
+    setCollections(snapshot.collections);
+  }, [videoLibrary, collections, takeSnapshot, rememberUndo, setVideoLibrary, setCollections]);
+
+  // Handle adding a new collection
+  const handleAddCollection = useCallback((newCollection) => {
+    rememberUndo(`Added collection "${newCollection.title}"`);
+    setCollections((prev) => [...prev, newCollection]);
+  }, [rememberUndo, setCollections]);
+
+  // Handle removing a collection - its videos become ungrouped
+  const handleRemoveCollection = useCallback((collectionId) => {
+    const collection = collections.find((c) => c.id === collectionId);
+    takeSnapshot(`Before removing collection "${collection.title}"`, videoLibrary, collections);
+    rememberUndo(`Removed collection "${collection.title}"`);
+    setCollections((prev) => prev.filter((c) => c.id !== collectionId));
+    setVideoLibrary((prev) =>
+      prev.map((v) => (v.collectionId === collectionId ? { ...v, collectionId: undefined } : v))
+    );
+  }, [videoLibrary, collections, takeSnapshot, rememberUndo, setCollections, setVideoLibrary]);
+
+  // Handle changing a collection's end-of-video behavior
+  const handleUpdateCollection = useCallback((collectionId, changes) => {
+    const collection = collections.find((c) => c.id === collectionId);
+    if (collection) {
+      rememberUndo(`Changed collection "${collection.title}"`);
+    }
+    setCollections((prev) =>
+      prev.map((c) => (c.id === collectionId ? { ...c, ...changes } : c))
+    );
+  }, [collections, rememberUndo, setCollections]);
+
+  // Handle changing one video's details (e.g. its end-of-video behavior)
+  const handleUpdateVideo = useCallback((videoId, changes) => {
+    const video = videoLibrary.find((v) => v.id === videoId);
+    if (video) {
+      rememberUndo(`Changed "${video.title}"`);
+    }
+    setVideoLibrary((prev) => prev.map((v) => (v.id === videoId ? { ...v, ...changes } : v)));
+  }, [videoLibrary, rememberUndo, setVideoLibrary]);
+
+  // Handle moving a video to a new place in the library (and the grid)
+  const handleMoveVideo = useCallback((videoId, toIndex) => {
+    const video = videoLibrary.find((v) => v.id === videoId);
+    if (video) {
+      rememberUndo(`Moved "${video.title}"`);
+    }
+    setVideoLibrary((prev) => moveItem(prev, videoId, toIndex));
+  }, [videoLibrary, rememberUndo, setVideoLibrary]);
+
+  // Handle moving videos into a collection (null = ungrouped)
+  const handleAssignCollection = useCallback((videoIds, collectionId) => {
+    const ids = new Set(videoIds);
+    const moved = videoLibrary.filter((v) => ids.has(v.id));
+    rememberUndo(
+      moved.length === 1 ? `Moved "${moved[0].title}"` : `Moved ${moved.length} videos`
+    );
+    setVideoLibrary((prev) =>
+      prev.map((v) => (ids.has(v.id) ? { ...v, collectionId: collectionId || undefined } : v))
+    );
+  }, [videoLibrary, rememberUndo, setVideoLibrary]);
 
   // Prevent back button and navigation
   useEffect(() => {
@@ -110,9 +458,12 @@ function App() {
     };
   }, [currentView, handleBackToGrid]);
 
-  // Prevent leaving via beforeunload
+  // Prevent leaving via beforeunload (except for an approved update)
   useEffect(() => {
     const handleBeforeUnload = (e) => {
+      if (isApplyingUpdateRef.current) {
+        return;
+      }
       e.preventDefault();
       e.returnValue = '';
       return '';
@@ -128,33 +479,147 @@ function App() {
   return (
     <div className="app">
       {/* Parental Gate Overlay */}
-      {showParentalGate && (
+      {gatePurpose && (
         <ParentalGate
+          options={gateOptions}
+          parentLock={parentLock}
           onSuccess={handleParentalGateSuccess}
           onCancel={handleParentalGateCancel}
         />
       )}
 
+      {/* Daily budget used up - covers the grid and player */}
+      {isTimeUp && (currentView === 'grid' || currentView === 'player') && (
+        <TimeUpScreen
+          profile={activeProfile}
+          onParentUnlock={handleTimeUpUnlockRequest}
+          onProfileClick={handleProfileClick}
+        />
+      )}
+
       {/* Main Content */}
-      {currentView === 'grid' && (
+      {currentView === 'profiles' && (
+        <ProfilePicker
+          profiles={profiles}
+          activeProfileId={activeProfile.id}
+          isCreating={isCreatingProfile}
+          onSelect={handleProfileSelect}
+          onAddRequest={handleAddProfileRequest}
+          onCreate={handleCreateProfile}
+          onCancelCreate={handleCancelCreateProfile}
+        />
+      )}
+
+      {currentView === 'grid' && !isTimeUp && !isWithinAllowedHours && (
+        <SleepingScreen
+          profile={activeProfile}
+          onProfileClick={handleProfileClick}
+          onParentExtend={handleScheduleOverrideRequest}
+          onSettingsClick={handleSettingsRequest}
+        />
+      )}
+
+      {currentView === 'grid' && !isTimeUp && isWithinAllowedHours && (
         <VideoGrid
           videos={videoLibrary}
+          collections={collections}
+          openCollectionId={openCollectionId}
+          positions={positions}
+          isOffline={!isOnline}
+          localCopyIds={localCopyIds}
+          localFiles={localFiles}
+          coverUrls={coverUrls}
+          profile={activeProfile}
+          onProfileClick={handleProfileClick}
           onVideoSelect={handleVideoSelect}
+          onCollectionOpen={setOpenCollectionId}
           onSettingsClick={handleSettingsRequest}
         />
       )}
 
-      {currentView === 'player' && selectedVideo && (
-        <VideoPlayer video={selectedVideo} onBack={handleBackToGrid} />
+      {currentView === 'player' && selectedVideo && !isTimeUp && (
+        <VideoPlayer
+          key={selectedVideo.id}
+          video={selectedVideo}
+          endAction={endAction}
+          nextVideo={nextVideo}
+          resumePosition={positions[selectedVideo.id]?.position}
+          onPlayNext={handlePlayNext}
+          onSavePosition={savePosition}
+          onRecordWatch={recordWatch}
+          onBack={handleBackToGrid}
+          onPlaybackChange={setIsPlaying}
+          isWindingDown={isWindingDown}
+          stopAtEnd={!isWithinAllowedHours}
+          hasOfflineCopy={Boolean(offlineVideos[selectedVideo.id])}
+          localFile={localFiles[selectedVideo.id]}
+          preferLocalFile={settings.localPlayback === 'prefer' || !isOnline}
+          maxVolume={settings.maxVolume}
+        />
       )}
 
       {currentView === 'settings' && (
         <SettingsPanel
+          features={features}
+          parentLock={parentLock}
+          allowHoldGate={gateOptions.allowHold}
           videos={videoLibrary}
+          profiles={profiles}
+          activeProfile={activeProfile}
+          onSelectProfile={selectProfile}
+          onAddProfile={addProfile}
+          onUpdateProfile={updateProfileDetails}
+          onRemoveProfile={removeProfile}
+          settings={settings}
+          secondsWatchedToday={secondsWatched}
           onClose={handleSettingsClose}
+          onUpdateSettings={handleUpdateSettings}
+          onResetScreenTime={resetToday}
+          history={history}
+          onClearHistory={clearHistory}
           onAddVideo={handleAddVideo}
+          onAddVideos={handleAddVideos}
           onRemoveVideo={handleRemoveVideo}
+          recycleBin={recycleBin}
+          onRestoreVideo={handleRestoreVideo}
+          onEmptyRecycleBin={emptyRecycleBin}
+          snapshots={snapshots}
+          onRestoreSnapshot={handleRestoreSnapshot}
+          onRemoveSnapshot={removeSnapshot}
           onResetVideos={handleResetVideos}
+          onImportLibrary={handleImportLibrary}
+          savedPositionCount={Object.keys(positions).length}
+          onClearPositions={clearPositions}
+          collections={collections}
+          onAddCollection={handleAddCollection}
+          onRemoveCollection={handleRemoveCollection}
+          onUpdateCollection={handleUpdateCollection}
+          onAssignCollection={handleAssignCollection}
+          onUpdateVideo={handleUpdateVideo}
+          onMoveVideo={handleMoveVideo}
+          coverUrls={coverUrls}
+          onSaveCover={saveCover}
+          onRemoveCover={removeCover}
+          offlineVideos={offlineVideos}
+          localFiles={localFiles}
+          downloads={downloads}
+          storageEstimate={storageEstimate}
+          onDownloadFromUrl={downloadFromUrl}
+          onSaveFromFile={saveFromFile}
+          onCancelDownload={cancelDownload}
+          onRemoveOfflineVideo={removeOfflineVideo}
+          isUpdateReady={isUpdateReady}
+          onUpdateRequest={handleUpdateRequest}
+        />
+      )}
+
+      {/* Undo the last library change (only for the profile it was made in) */}
+      {currentView === 'settings' && undoAction && undoAction.profileId === activeProfile.id && (
+        <UndoToast
+          key={undoAction.id}
+          message={undoAction.message}
+          onUndo={handleUndo}
+          onDismiss={handleDismissUndo}
         />
       )}
     </div>
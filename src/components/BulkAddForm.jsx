@@ -0,0 +1,119 @@
+import React, { useState, useCallback, memo } from 'react';
+import { parseBulkInput } from '../utils/bulkAdd';
+
+/**
+ * BulkAddForm Component
+ *
+ * Overlay for adding many videos at once. Parents paste one YouTube
+ * URL or ID per line, optionally followed by a title; valid new videos
+ * are added with emojis and colors picked in turn, and a per-line table
+ * shows what was added, skipped as a duplicate or rejected.
+ */
+
+const STATUS_LABELS = {
+  added: '➕ Added',
+  duplicate: '♊ Duplicate',
+  invalid: '⛔ Invalid'
+};
+
+const BulkAddForm = memo(function BulkAddForm({ videos, onAddVideos, onClose }) {
+  const [text, setText] = useState('');
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+
+  // Handle adding all pasted lines
+  const handleSubmit = useCallback(
+    (e) => {
+      e.preventDefault();
+      setError('');
+
+      const parsed = parseBulkInput(text, videos);
+      if (parsed.length === 0) {
+        setError('Paste at least one YouTube URL or ID');
+        return;
+      }
+
+      const added = parsed.filter((result) => result.status === 'added');
+      if (added.length > 0) {
+        onAddVideos(added.map((result) => result.video));
+      }
+      setResults(parsed);
+    },
+    [text, videos, onAddVideos]
+  );
+
+  // Handle going back to paste more
+  const handleAddMore = useCallback(() => {
+    setText('');
+    setResults(null);
+  }, []);
+
+  const addedCount = results ? results.filter((r) => r.status === 'added').length : 0;
+
+  return (
+    <div className="add-form-overlay">
+      {results ? (
+        <div className="add-form import-preview">
+          <h3 className="form-title">Bulk Add Results</h3>
+
+          <p className="setting-summary">
+            {addedCount} of {results.length} {results.length === 1 ? 'line' : 'lines'} added
+          </p>
+
+          <div className="import-entries">
+            {results.map((result) => (
+              <div
+                key={result.line}
+                className={`import-entry import-${result.status === 'invalid' ? 'rejected' : result.status}`}
+              >
+                <span className="import-status">{STATUS_LABELS[result.status]}</span>
+                <span className="import-label">
+                  Line {result.line}:{' '}
+                  {result.video ? `${result.video.emoji} ${result.video.title}` : result.text}
+                </span>
+                {result.reason && <span className="import-reason">{result.reason}</span>}
+              </div>
+            ))}
+          </div>
+
+          <div className="form-buttons">
+            <button type="button" className="form-cancel-btn" onClick={handleAddMore}>
+              Add More
+            </button>
+            <button type="button" className="form-submit-btn" onClick={onClose}>
+              Done
+            </button>
+          </div>
+        </div>
+      ) : (
+        <form className="add-form" onSubmit={handleSubmit}>
+          <h3 className="form-title">Bulk Add Videos</h3>
+
+          <label className="form-label">
+            One YouTube URL or ID per line, optionally followed by a title
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder={'https://youtu.be/dQw4w9WgXcQ Fun Dance Song\nXqZsoesa55w | Baby Shark\n6A_uNfM-m9M'}
+              className="form-input bulk-add-input"
+              rows={8}
+            />
+          </label>
+
+          {error && <p className="form-error">{error}</p>}
+
+          <div className="form-buttons">
+            <button type="button" className="form-cancel-btn" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="form-submit-btn" disabled={!text.trim()}>
+              Add All
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+});
+
+export default BulkAddForm;
@@ -0,0 +1,166 @@
+import React, { useState, useCallback, useMemo, memo } from 'react';
+import { createCollection, groupVideos, UNGROUPED_ID } from '../utils/collections';
+import { EMOJIS, COLORS } from '../utils/palettes';
+import EndBehaviorSelect from './EndBehaviorSelect';
+
+/**
+ * CollectionSettings Component
+ *
+ * Settings section for grouping videos into collections (series).
+ * Parents create collections with a cover emoji and color, then move
+ * videos into them - either one at a time from the video list below,
+ * or all ungrouped videos at once. Each collection can also choose what
+ * happens when one of its videos ends (e.g. play the next episode).
+ */
+const CollectionSettings = memo(function CollectionSettings({
+  videos,
+  collections,
+  onAddCollection,
+  onRemoveCollection,
+  onUpdateCollection,
+  onAssignCollection,
+  defaultEndBehavior,
+  onUpdateSettings
+}) {
+  const [title, setTitle] = useState('');
+  const [emoji, setEmoji] = useState(EMOJIS[0]);
+  const [color, setColor] = useState(COLORS[0]);
+  const [error, setError] = useState('');
+
+  // Video count per collection, including ungrouped videos
+  const groups = useMemo(() => groupVideos(videos, collections), [videos, collections]);
+  const countFor = (collectionId) => {
+    const group = groups.find((g) => g.collection.id === collectionId);
+    return group ? group.videos.length : 0;
+  };
+  const ungroupedGroup = groups.find((g) => g.collection.id === UNGROUPED_ID);
+  const ungroupedIds = ungroupedGroup ? ungroupedGroup.videos.map((v) => v.id) : [];
+
+  // Handle adding a new collection
+  const handleAdd = useCallback(
+    (e) => {
+      e.preventDefault();
+      setError('');
+
+      if (!title.trim()) {
+        setError('Please enter a collection name');
+        return;
+      }
+
+      onAddCollection(createCollection(title.trim(), emoji, color));
+      setTitle('');
+    },
+    [title, emoji, color, onAddCollection]
+  );
+
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">📚 Collections</h2>
+
+      <p className="setting-summary">
+        Group episodes into collections so the home screen shows one big tile per series.
+        {ungroupedIds.length > 0 && ` ${ungroupedIds.length} videos are not in a collection.`}
+      </p>
+
+      {/* Default end behavior (ungrouped videos and collections without their own) */}
+      <label className="setting-row">
+        <span className="setting-label">When a video ends</span>
+        <EndBehaviorSelect
+          value={defaultEndBehavior}
+          onChange={(endBehavior) => onUpdateSettings({ endBehavior })}
+        />
+      </label>
+
+      {/* Existing collections */}
+      {collections.map((collection) => (
+        <div
+          key={collection.id}
+          className="video-item"
+          style={{ '--item-color': collection.color }}
+        >
+          <span className="collection-item-emoji">{collection.emoji}</span>
+          <div className="item-info">
+            <span className="item-title">{collection.title}</span>
+            <span className="item-id">{countFor(collection.id)} videos</span>
+          </div>
+          <EndBehaviorSelect
+            className="item-collection-select"
+            value={collection.endBehavior}
+            inheritLabel="Default ending"
+            onChange={(endBehavior) => onUpdateCollection(collection.id, { endBehavior })}
+            aria-label={`When a ${collection.title} video ends`}
+          />
+          {ungroupedIds.length > 0 && (
+            <button
+              className="action-btn reset-btn"
+              onClick={() => onAssignCollection(ungroupedIds, collection.id)}
+            >
+              📥 Add ungrouped
+            </button>
+          )}
+          <button
+            className="item-delete-btn"
+            onClick={() => onRemoveCollection(collection.id)}
+            aria-label={`Remove collection ${collection.title}`}
+          >
+            🗑️
+          </button>
+        </div>
+      ))}
+
+      {/* New collection form */}
+      <form className="collection-form" onSubmit={handleAdd}>
+        <label className="form-label">
+          New collection name
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="e.g., Bluey Season 1"
+            className="form-input"
+            maxLength={30}
+          />
+        </label>
+
+        <div className="form-label">
+          Cover Emoji
+          <div className="emoji-picker">
+            {EMOJIS.map((option) => (
+              <button
+                key={option}
+                type="button"
+                className={`emoji-btn ${emoji === option ? 'selected' : ''}`}
+                onClick={() => setEmoji(option)}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="form-label">
+          Cover Color
+          <div className="color-picker">
+            {COLORS.map((option) => (
+              <button
+                key={option}
+                type="button"
+                className={`color-btn ${color === option ? 'selected' : ''}`}
+                style={{ backgroundColor: option }}
+                onClick={() => setColor(option)}
+              />
+            ))}
+          </div>
+        </div>
+
+        {error && <p className="form-error">{error}</p>}
+
+        <button type="submit" className="action-btn add-btn">
+          ➕ Add Collection
+        </button>
+      </form>
+    </section>
+  );
+});
+
+export default CollectionSettings;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useCallback, useRef, memo } from 'react';
+import { COLORS } from '../utils/palettes';
+import { COVER_WIDTH, COVER_HEIGHT, canvasToCover } from '../utils/coverImages';
+
+// Brush colors: the card palette plus black and white (to erase)
+const BRUSH_COLORS = ['#222222', ...COLORS, '#FFFFFF'];
+const BRUSH_SIZES = [
+  { value: 8, label: 'Thin' },
+  { value: 24, label: 'Thick' }
+];
+const BACKGROUND = '#FFFFFF';
+
+// Pointer position in canvas pixels (the canvas is scaled to fit the screen)
+function toCanvasPoint(canvas, e) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: ((e.clientX - rect.left) / rect.width) * COVER_WIDTH,
+    y: ((e.clientY - rect.top) / rect.height) * COVER_HEIGHT
+  };
+}
+
+/**
+ * CoverDrawingPad Component
+ *
+ * Overlay with a simple finger (or mouse) drawing canvas for making a
+ * video's cover picture, in the shape of a grid card. onSave receives the
+ * drawing as an image blob.
+ */
+const CoverDrawingPad = memo(function CoverDrawingPad({ onSave, onCancel }) {
+  const canvasRef = useRef(null);
+  const lastPointRef = useRef(null);
+  const [color, setColor] = useState(BRUSH_COLORS[0]);
+  const [size, setSize] = useState(BRUSH_SIZES[0].value);
+  const [error, setError] = useState('');
+
+  // Fill the canvas with the background color
+  const clear = useCallback(() => {
+    const context = canvasRef.current.getContext('2d');
+    context.fillStyle = BACKGROUND;
+    context.fillRect(0, 0, COVER_WIDTH, COVER_HEIGHT);
+  }, []);
+
+  useEffect(() => {
+    clear();
+  }, [clear]);
+
+  // Draw a line from the last point to this one (a dot on first touch)
+  const drawTo = useCallback(
+    (point) => {
+      const context = canvasRef.current.getContext('2d');
+      const from = lastPointRef.current || point;
+      context.strokeStyle = color;
+      context.lineWidth = size;
+      context.lineCap = 'round';
+      context.lineJoin = 'round';
+      context.beginPath();
+      context.moveTo(from.x, from.y);
+      context.lineTo(point.x, point.y);
+      context.stroke();
+      lastPointRef.current = point;
+    },
+    [color, size]
+  );
+
+  const handlePointerDown = useCallback(
+    (e) => {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      lastPointRef.current = null;
+      drawTo(toCanvasPoint(canvasRef.current, e));
+    },
+    [drawTo]
+  );
+
+  const handlePointerMove = useCallback(
+    (e) => {
+      if (lastPointRef.current) {
+        drawTo(toCanvasPoint(canvasRef.current, e));
+      }
+    },
+    [drawTo]
+  );
+
+  const handlePointerUp = useCallback(() => {
+    lastPointRef.current = null;
+  }, []);
+
+  // Handle using the drawing as the cover
+  const handleSave = useCallback(async () => {
+    try {
+      onSave(await canvasToCover(canvasRef.current));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [onSave]);
+
+  return (
+    <div className="add-form-overlay">
+      <div className="add-form cover-drawing">
+        <h3 className="form-title">Draw a Cover</h3>
+
+        <canvas
+          ref={canvasRef}
+          className="cover-drawing-canvas"
+          width={COVER_WIDTH}
+          height={COVER_HEIGHT}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        />
+
+        <div className="color-picker">
+          {BRUSH_COLORS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              className={`color-btn ${color === option ? 'selected' : ''}`}
+              style={{ backgroundColor: option }}
+              onClick={() => setColor(option)}
+              aria-label={option === BACKGROUND ? 'Eraser' : `Brush color ${option}`}
+            />
+          ))}
+        </div>
+
+        <div className="settings-actions cover-drawing-tools">
+          {BRUSH_SIZES.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              className={`profile-chip ${size === option.value ? 'selected' : ''}`}
+              onClick={() => setSize(option.value)}
+              aria-pressed={size === option.value}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button type="button" className="action-btn reset-btn" onClick={clear}>
+            🧽 Clear
+          </button>
+        </div>
+
+        {error && <p className="form-error">{error}</p>}
+
+        <div className="form-buttons">
+          <button type="button" className="form-cancel-btn" onClick={onCancel}>
+            Cancel
+          </button>
+          <button type="button" className="form-submit-btn" onClick={handleSave}>
+            Use Drawing
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default CoverDrawingPad;
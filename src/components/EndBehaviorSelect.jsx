@@ -0,0 +1,35 @@
+import React, { memo } from 'react';
+import { END_BEHAVIOR_OPTIONS, endBehaviorKey, parseEndBehaviorKey } from '../utils/playback';
+
+/**
+ * EndBehaviorSelect Component
+ *
+ * Drop-down for what happens when a video ends. When `inheritLabel` is
+ * given, an extra first option clears the value so the collection or
+ * profile default applies.
+ */
+const EndBehaviorSelect = memo(function EndBehaviorSelect({
+  value,
+  onChange,
+  inheritLabel,
+  className = '',
+  ...props
+}) {
+  return (
+    <select
+      className={`setting-select ${className}`}
+      value={endBehaviorKey(value)}
+      onChange={(e) => onChange(parseEndBehaviorKey(e.target.value))}
+      {...props}
+    >
+      {inheritLabel && <option value="">{inheritLabel}</option>}
+      {END_BEHAVIOR_OPTIONS.map((option) => (
+        <option key={endBehaviorKey(option.value)} value={endBehaviorKey(option.value)}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  );
+});
+
+export default EndBehaviorSelect;
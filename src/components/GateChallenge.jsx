@@ -0,0 +1,313 @@
+import React, { useState, useCallback, useMemo, useRef, memo } from 'react';
+import {
+  createArithmeticProblem,
+  problemToWords,
+  createKeypadNumbers,
+  createGestureSequence,
+  detectSwipe
+} from '../utils/challenges';
+
+/**
+ * GateChallenge Component
+ *
+ * One parental gate challenge of the given type (see utils/challenges.js).
+ * Every challenge calls onPass when solved and onFail for each wrong
+ * answer, which counts towards the gate lockout.
+ */
+const GateChallenge = memo(function GateChallenge({
+  type,
+  difficulty,
+  isAlternative,
+  onPass,
+  onFail,
+  onCancel
+}) {
+  const Challenge = CHALLENGE_COMPONENTS[type] || CHALLENGE_COMPONENTS.math;
+  return (
+    <Challenge
+      difficulty={difficulty}
+      isAlternative={isAlternative}
+      onPass={onPass}
+      onFail={onFail}
+      onCancel={onCancel}
+    />
+  );
+});
+
+/**
+ * ArithmeticChallenge Component
+ *
+ * A random math problem that's easy for adults but difficult for young
+ * children, shown as digits or written out in words.
+ */
+const ArithmeticChallenge = memo(function ArithmeticChallenge({
+  difficulty,
+  inWords,
+  isAlternative,
+  onPass,
+  onFail,
+  onCancel
+}) {
+  // Generate a random math problem
+  const mathProblem = useMemo(() => createArithmeticProblem(difficulty), [difficulty]);
+
+  const [userAnswer, setUserAnswer] = useState('');
+  const [showError, setShowError] = useState(false);
+
+  // Handle input change
+  const handleInputChange = useCallback((e) => {
+    const value = e.target.value.replace(/[^0-9-]/g, '');
+    setUserAnswer(value);
+    setShowError(false);
+  }, []);
+
+  // Handle submit
+  const handleSubmit = useCallback(
+    (e) => {
+      e.preventDefault();
+
+      const parsed = parseInt(userAnswer, 10);
+
+      if (parsed === mathProblem.answer) {
+        onPass();
+      } else {
+        onFail();
+        setShowError(true);
+        setUserAnswer('');
+      }
+    },
+    [userAnswer, mathProblem.answer, onPass, onFail]
+  );
+
+  return (
+    <>
+      {/* Instructions */}
+      <p className={isAlternative ? 'alternative-text' : 'gate-instructions'}>
+        {isAlternative
+          ? 'Or solve this math problem:'
+          : 'Please solve this math problem to access settings:'}
+      </p>
+
+      {/* Math Problem */}
+      {inWords ? (
+        <p className="challenge-words">{problemToWords(mathProblem)} = ?</p>
+      ) : (
+        <div className="math-problem">
+          <span className="math-num">{mathProblem.num1}</span>
+          <span className="math-op">{mathProblem.operation}</span>
+          <span className="math-num">{mathProblem.num2}</span>
+          <span className="math-equals">=</span>
+          <span className="math-answer">?</span>
+        </div>
+      )}
+
+      {/* Answer Form */}
+      <form onSubmit={handleSubmit} className="gate-form">
+        <input
+          type="text"
+          inputMode="numeric"
+          pattern="[0-9]*"
+          value={userAnswer}
+          onChange={handleInputChange}
+          placeholder="Enter answer in digits"
+          className={`gate-input ${showError ? 'input-error' : ''}`}
+          autoFocus={!isAlternative}
+          autoComplete="off"
+        />
+
+        {showError && <p className="error-message">Incorrect, try again</p>}
+
+        <div className="gate-buttons">
+          {!isAlternative && (
+            <button type="button" className="gate-cancel-btn" onClick={onCancel}>
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            className="gate-submit-btn"
+            disabled={!userAnswer}
+          >
+            Verify
+          </button>
+        </div>
+      </form>
+    </>
+  );
+});
+
+/**
+ * DescendingKeypadChallenge Component
+ *
+ * A shuffled keypad of numbers to tap from the highest to the lowest.
+ * A wrong tap counts as a failed attempt and deals new numbers.
+ */
+const DescendingKeypadChallenge = memo(function DescendingKeypadChallenge({
+  difficulty,
+  isAlternative,
+  onPass,
+  onFail,
+  onCancel
+}) {
+  const [numbers, setNumbers] = useState(() => createKeypadNumbers(difficulty));
+  const [tapped, setTapped] = useState([]);
+  const [showError, setShowError] = useState(false);
+
+  const expected = useMemo(() => [...numbers].sort((a, b) => b - a), [numbers]);
+
+  // Handle a tap on one number
+  const handleTap = useCallback(
+    (number) => {
+      if (number !== expected[tapped.length]) {
+        onFail();
+        setShowError(true);
+        setTapped([]);
+        setNumbers(createKeypadNumbers(difficulty));
+        return;
+      }
+      const next = [...tapped, number];
+      setShowError(false);
+      setTapped(next);
+      if (next.length === expected.length) {
+        onPass();
+      }
+    },
+    [expected, tapped, difficulty, onPass, onFail]
+  );
+
+  return (
+    <>
+      <p className={isAlternative ? 'alternative-text' : 'gate-instructions'}>
+        {isAlternative ? 'Or tap' : 'Tap'} the numbers from the highest to the lowest:
+      </p>
+
+      <div className="challenge-keypad">
+        {numbers.map((number) => (
+          <button
+            key={number}
+            type="button"
+            className={`challenge-key ${tapped.includes(number) ? 'tapped' : ''}`}
+            onClick={() => handleTap(number)}
+            disabled={tapped.includes(number)}
+          >
+            {number}
+          </button>
+        ))}
+      </div>
+
+      {showError && <p className="error-message">Wrong order, try these numbers</p>}
+
+      {!isAlternative && <CancelButton onCancel={onCancel} />}
+    </>
+  );
+});
+
+/**
+ * GestureChallenge Component
+ *
+ * Swipe on the pad in the directions written out above it (words, not
+ * arrows, so pre-readers can't follow along). A wrong swipe counts as a
+ * failed attempt and gives a new sequence.
+ */
+const GestureChallenge = memo(function GestureChallenge({
+  difficulty,
+  isAlternative,
+  onPass,
+  onFail,
+  onCancel
+}) {
+  const [sequence, setSequence] = useState(() => createGestureSequence(difficulty));
+  const [progress, setProgress] = useState(0);
+  const [showError, setShowError] = useState(false);
+  const startRef = useRef(null);
+
+  const handlePointerDown = useCallback((e) => {
+    startRef.current = { x: e.clientX, y: e.clientY };
+  }, []);
+
+  // Handle the end of a swipe
+  const handlePointerUp = useCallback(
+    (e) => {
+      if (!startRef.current) {
+        return;
+      }
+      const direction = detectSwipe(e.clientX - startRef.current.x, e.clientY - startRef.current.y);
+      startRef.current = null;
+      if (!direction) {
+        return;
+      }
+
+      if (direction !== sequence[progress]) {
+        onFail();
+        setShowError(true);
+        setProgress(0);
+        setSequence(createGestureSequence(difficulty));
+        return;
+      }
+      setShowError(false);
+      setProgress(progress + 1);
+      if (progress + 1 === sequence.length) {
+        onPass();
+      }
+    },
+    [sequence, progress, difficulty, onPass, onFail]
+  );
+
+  const instructions = sequence.join(', then ');
+
+  return (
+    <>
+      <p className={isAlternative ? 'alternative-text' : 'gate-instructions'}>
+        {isAlternative ? 'Or swipe' : 'Swipe'} on the pad: {instructions}
+      </p>
+
+      <div
+        className="challenge-swipe-pad"
+        onPointerDown={handlePointerDown}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => {
+          startRef.current = null;
+        }}
+      >
+        <div className="challenge-swipe-progress">
+          {sequence.map((direction, index) => (
+            <span
+              key={index}
+              className={`challenge-swipe-dot ${index < progress ? 'done' : ''}`}
+            />
+          ))}
+        </div>
+      </div>
+
+      {showError && <p className="error-message">Wrong direction, try this new sequence</p>}
+
+      {!isAlternative && <CancelButton onCancel={onCancel} />}
+    </>
+  );
+});
+
+// Cancel row for challenges without a form of their own
+function CancelButton({ onCancel }) {
+  return (
+    <div className="gate-buttons">
+      <button type="button" className="gate-cancel-btn" onClick={onCancel}>
+        Cancel
+      </button>
+    </div>
+  );
+}
+
+// The math problem written out, e.g. "twenty-three plus eleven"
+function WordsChallenge(props) {
+  return <ArithmeticChallenge {...props} inWords />;
+}
+
+// Challenge component for each type in CHALLENGE_TYPES
+const CHALLENGE_COMPONENTS = {
+  math: ArithmeticChallenge,
+  words: WordsChallenge,
+  descending: DescendingKeypadChallenge,
+  gesture: GestureChallenge
+};
+
+export default GateChallenge;
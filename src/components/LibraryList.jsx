@@ -0,0 +1,201 @@
+import React, { useState, useCallback, memo } from 'react';
+import EndBehaviorSelect from './EndBehaviorSelect';
+import VideoEditForm from './VideoEditForm';
+import { getThumbnailUrl } from '../utils/thumbnails';
+import { moveItem } from '../utils/reorder';
+
+/**
+ * LibraryList Component
+ *
+ * The selected profile's videos in the order the home screen shows them.
+ * Parents edit an entry's title, emoji, color and cover picture, move it
+ * into a collection, choose what happens when it ends, or remove it.
+ *
+ * Entries are reordered by dragging the ⠿ handle (pointer events, so it
+ * works with touch as well as a mouse) or with the ▲ / ▼ buttons.
+ */
+const LibraryList = memo(function LibraryList({
+  videos,
+  collections,
+  activeProfile,
+  coverUrls,
+  onAssignCollection,
+  onUpdateVideo,
+  onSaveCover,
+  onRemoveCover,
+  onMoveVideo,
+  onRemoveVideo
+}) {
+  const [editingId, setEditingId] = useState(null);
+  // Video being dragged and the place it would be dropped
+  const [drag, setDrag] = useState(null);
+  const [error, setError] = useState('');
+
+  // While dragging, show the list as it will be after the drop
+  const listedVideos = drag ? moveItem(videos, drag.id, drag.toIndex) : videos;
+  const editingVideo = videos.find((video) => video.id === editingId);
+
+  // Handle picking up an entry by its handle
+  const handleDragStart = useCallback((e, videoId, index) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ id: videoId, toIndex: index });
+  }, []);
+
+  // Handle dragging over another entry
+  const handleDragMove = useCallback(
+    (e) => {
+      if (!drag) {
+        return;
+      }
+      const target = document.elementFromPoint(e.clientX, e.clientY);
+      const item = target && target.closest('[data-library-index]');
+      if (item) {
+        const toIndex = Number(item.dataset.libraryIndex);
+        if (toIndex !== drag.toIndex) {
+          setDrag({ id: drag.id, toIndex });
+        }
+      }
+    },
+    [drag]
+  );
+
+  // Handle dropping the entry in its new place
+  const handleDragEnd = useCallback(() => {
+    if (drag) {
+      onMoveVideo(drag.id, drag.toIndex);
+      setDrag(null);
+    }
+  }, [drag, onMoveVideo]);
+
+  // Handle saving the edit form (cover: new { blob, source }, null to
+  // remove it, undefined when unchanged)
+  const handleSaveEdit = useCallback(
+    async (changes, cover) => {
+      const videoId = editingId;
+      onUpdateVideo(videoId, changes);
+      setEditingId(null);
+      setError('');
+      try {
+        if (cover) {
+          await onSaveCover(videoId, cover.blob, cover.source);
+        } else if (cover === null) {
+          await onRemoveCover(videoId);
+        }
+      } catch (err) {
+        setError(`Could not save the cover picture: ${err.message}`);
+      }
+    },
+    [editingId, onUpdateVideo, onSaveCover, onRemoveCover]
+  );
+
+  return (
+    <div className="video-list">
+      <h2 className="list-title">
+        {activeProfile.avatar} {activeProfile.name}'s Library ({videos.length} videos)
+      </h2>
+      {videos.length > 1 && (
+        <p className="setting-summary">
+          Drag ⠿ or use ▲ ▼ to change the order videos appear in on the home screen.
+        </p>
+      )}
+      {error && <p className="form-error">{error}</p>}
+      {listedVideos.map((video, index) => (
+        <div
+          key={video.id}
+          className={`video-item ${drag && drag.id === video.id ? 'dragging' : ''}`}
+          style={{ '--item-color': video.color }}
+          data-library-index={index}
+        >
+          <span
+            className="item-drag-handle"
+            onPointerDown={(e) => handleDragStart(e, video.id, index)}
+            onPointerMove={handleDragMove}
+            onPointerUp={handleDragEnd}
+            onPointerCancel={() => setDrag(null)}
+            aria-hidden="true"
+          >
+            ⠿
+          </span>
+          <div className="item-move-buttons">
+            <button
+              className="item-move-btn"
+              onClick={() => onMoveVideo(video.id, index - 1)}
+              disabled={index === 0}
+              aria-label={`Move ${video.title} up`}
+            >
+              ▲
+            </button>
+            <button
+              className="item-move-btn"
+              onClick={() => onMoveVideo(video.id, index + 1)}
+              disabled={index === listedVideos.length - 1}
+              aria-label={`Move ${video.title} down`}
+            >
+              ▼
+            </button>
+          </div>
+          <img
+            src={coverUrls[video.id] || getThumbnailUrl(video.id, 'default')}
+            alt={video.title}
+            className="item-thumbnail"
+            draggable={false}
+          />
+          <div className="item-info">
+            <span className="item-emoji">{video.emoji}</span>
+            <span className="item-title">{video.title}</span>
+            <span className="item-id">{video.id}</span>
+          </div>
+          {collections.length > 0 && (
+            <select
+              className="setting-select item-collection-select"
+              value={video.collectionId || ''}
+              onChange={(e) => onAssignCollection([video.id], e.target.value || null)}
+              aria-label={`Collection for ${video.title}`}
+            >
+              <option value="">No collection</option>
+              {collections.map((collection) => (
+                <option key={collection.id} value={collection.id}>
+                  {collection.emoji} {collection.title}
+                </option>
+              ))}
+            </select>
+          )}
+          <EndBehaviorSelect
+            className="item-collection-select"
+            value={video.endBehavior}
+            inheritLabel="Default ending"
+            onChange={(endBehavior) => onUpdateVideo(video.id, { endBehavior })}
+            aria-label={`When ${video.title} ends`}
+          />
+          <button
+            className="item-edit-btn"
+            onClick={() => setEditingId(video.id)}
+            aria-label={`Edit ${video.title}`}
+          >
+            ✏️
+          </button>
+          <button
+            className="item-delete-btn"
+            onClick={() => onRemoveVideo(video.id)}
+            aria-label={`Remove ${video.title}`}
+          >
+            🗑️
+          </button>
+        </div>
+      ))}
+
+      {/* Edit Video Form */}
+      {editingVideo && (
+        <VideoEditForm
+          video={editingVideo}
+          coverUrl={coverUrls[editingVideo.id]}
+          onSave={handleSaveEdit}
+          onCancel={() => setEditingId(null)}
+        />
+      )}
+    </div>
+  );
+});
+
+export default LibraryList;
@@ -0,0 +1,56 @@
+import React, { memo } from 'react';
+
+/**
+ * LibrarySnapshots Component
+ *
+ * Settings section listing the snapshots of the selected profile's library
+ * saved automatically before big changes (reset, import, removing a
+ * collection). Rolling back replaces the library and collections with the
+ * snapshot - after taking a snapshot of the current library, so a roll
+ * back can itself be rolled back. Hidden until there is a snapshot.
+ */
+const LibrarySnapshots = memo(function LibrarySnapshots({
+  snapshots,
+  onRestoreSnapshot,
+  onRemoveSnapshot
+}) {
+  if (snapshots.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">🕒 Library Snapshots</h2>
+
+      <p className="setting-summary">
+        A copy of the library is saved before it is reset, imported over or loses a
+        collection. Roll back to one to undo an older change.
+      </p>
+
+      {snapshots.map((snapshot) => (
+        <div key={snapshot.id} className="video-item">
+          <div className="item-info">
+            <span className="item-title">{snapshot.label}</span>
+            <span className="item-id">
+              {new Date(snapshot.createdAt).toLocaleString()} · {snapshot.videos.length} videos
+              {snapshot.collections.length > 0 &&
+                `, ${snapshot.collections.length} collections`}
+            </span>
+          </div>
+          <button className="action-btn reset-btn" onClick={() => onRestoreSnapshot(snapshot)}>
+            ⏪ Roll Back
+          </button>
+          <button
+            className="item-delete-btn"
+            onClick={() => onRemoveSnapshot(snapshot.id)}
+            aria-label={`Delete snapshot ${snapshot.label}`}
+          >
+            🗑️
+          </button>
+        </div>
+      ))}
+    </section>
+  );
+});
+
+export default LibrarySnapshots;
@@ -0,0 +1,154 @@
+import React, { useState, useCallback, useRef, memo } from 'react';
+import { createLibraryFile, parseLibraryFile, previewImport } from '../utils/libraryFile';
+import { getTodayKey } from '../utils/dates';
+import { downloadFile } from '../utils/download';
+
+/**
+ * LibraryTransfer Component
+ *
+ * Settings section to move a curated library between devices.
+ * "Export" saves the selected profile's library as a versioned JSON file;
+ * "Import" reads one back, shows what would be added, duplicated or
+ * rejected, and lets the parent merge it in or replace the library.
+ */
+
+const STATUS_LABELS = {
+  added: '➕ New',
+  duplicate: '♊ Duplicate',
+  rejected: '⛔ Rejected'
+};
+
+const LibraryTransfer = memo(function LibraryTransfer({
+  profile,
+  videos,
+  collections,
+  onImportLibrary
+}) {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  // Handle export
+  const handleExport = useCallback(() => {
+    const safeName = profile.name.replace(/[^\w-]+/g, '-');
+    const filename = `video-library-${safeName}-${getTodayKey()}.json`;
+    downloadFile(filename, createLibraryFile(videos, collections), 'application/json');
+  }, [profile.name, videos, collections]);
+
+  // Handle a chosen import file
+  const handleFileChange = useCallback(
+    async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) {
+        return;
+      }
+
+      setError('');
+      try {
+        const parsed = parseLibraryFile(await file.text());
+        setPreview(previewImport(parsed, videos, collections));
+      } catch (err) {
+        setError(err.message);
+      }
+    },
+    [videos, collections]
+  );
+
+  // Handle merge/replace
+  const handleApply = useCallback(
+    (mode) => {
+      onImportLibrary(preview, mode);
+      setPreview(null);
+    },
+    [preview, onImportLibrary]
+  );
+
+  const counts = preview
+    ? preview.entries.reduce((acc, entry) => {
+      acc[entry.status] = (acc[entry.status] || 0) + 1;
+      return acc;
+    }, {})
+    : {};
+  const validCount = (counts.added || 0) + (counts.duplicate || 0);
+
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">💾 Export / Import</h2>
+
+      <p className="setting-summary">
+        Save this library to a file, or load one exported from another device.
+      </p>
+
+      <div className="settings-actions">
+        <button className="action-btn add-btn" onClick={handleExport}>
+          📤 Export Library
+        </button>
+        <button className="action-btn reset-btn" onClick={() => fileInputRef.current.click()}>
+          📥 Import Library
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFileChange}
+          hidden
+        />
+      </div>
+
+      {error && <p className="form-error">{error}</p>}
+
+      {/* Import preview */}
+      {preview && (
+        <div className="add-form-overlay">
+          <div className="add-form import-preview">
+            <h3 className="form-title">Import Preview</h3>
+
+            <p className="setting-summary">
+              {counts.added || 0} new · {counts.duplicate || 0} already in the library ·{' '}
+              {counts.rejected || 0} rejected
+              {preview.collections.length > 0 && ` · ${preview.collections.length} collections`}
+            </p>
+
+            <div className="import-entries">
+              {preview.entries.map((entry, index) => (
+                <div key={index} className={`import-entry import-${entry.status}`}>
+                  <span className="import-status">{STATUS_LABELS[entry.status]}</span>
+                  <span className="import-label">
+                    {entry.video && `${entry.video.emoji} `}
+                    {entry.label}
+                  </span>
+                  {entry.reason && <span className="import-reason">{entry.reason}</span>}
+                </div>
+              ))}
+            </div>
+
+            <div className="form-buttons">
+              <button type="button" className="form-cancel-btn" onClick={() => setPreview(null)}>
+                Cancel
+              </button>
+              <button
+                type="button"
+                className="form-submit-btn"
+                onClick={() => handleApply('merge')}
+                disabled={!counts.added && preview.collections.length === 0}
+              >
+                Merge ({counts.added || 0})
+              </button>
+              <button
+                type="button"
+                className="form-submit-btn import-replace-btn"
+                onClick={() => handleApply('replace')}
+                disabled={validCount === 0}
+              >
+                Replace ({validCount})
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+});
+
+export default LibraryTransfer;
@@ -0,0 +1,290 @@
+import React, { useState, useCallback, useRef, memo } from 'react';
+import { formatBytes } from '../utils/offlineVideos';
+
+/**
+ * OfflineVideos Component
+ *
+ * Settings section for keeping videos on this device so they play
+ * without internet. Parents give a direct link to the video file (or pick
+ * one saved on the device) for each video; the file is stored in browser
+ * storage and played instead of YouTube. Shows how much space is used
+ * and lets parents delete stored copies.
+ *
+ * Files bundled with the app (`npm run download-videos`) are listed too;
+ * parents choose whether they play first or only when YouTube fails.
+ */
+
+// Choices for the bundled video files
+const LOCAL_PLAYBACK_OPTIONS = [
+  { value: 'fallback', label: 'Only if YouTube fails' },
+  { value: 'prefer', label: 'Instead of YouTube' }
+];
+const OfflineVideos = memo(function OfflineVideos({
+  videos,
+  offlineVideos,
+  localFiles,
+  localPlayback,
+  onUpdateSettings,
+  downloads,
+  storageEstimate,
+  onDownloadFromUrl,
+  onSaveFromFile,
+  onCancelDownload,
+  onRemoveOfflineVideo
+}) {
+  const [formVideo, setFormVideo] = useState(null);
+  const [url, setUrl] = useState('');
+  const [errors, setErrors] = useState({});
+  const fileInputRef = useRef(null);
+
+  const storedVideos = Object.values(offlineVideos);
+  const storedBytes = storedVideos.reduce((total, record) => total + record.size, 0);
+  const libraryIds = new Set(videos.map((v) => v.id));
+  const otherVideos = storedVideos.filter((record) => !libraryIds.has(record.videoId));
+
+  const setError = useCallback((videoId, message) => {
+    setErrors((prev) => ({ ...prev, [videoId]: message }));
+  }, []);
+
+  // Handle opening the save form for a video
+  const handleOpenForm = useCallback(
+    (video) => {
+      setFormVideo(video);
+      setUrl('');
+      setError(video.id, '');
+    },
+    [setError]
+  );
+
+  // Handle download from a URL - runs in the background, progress shows in the list
+  const handleDownload = useCallback(
+    (e) => {
+      e.preventDefault();
+      const videoId = formVideo.id;
+
+      try {
+        const parsed = new URL(url.trim());
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+          throw new Error();
+        }
+      } catch {
+        setError(videoId, 'Please enter a full link starting with https://');
+        return;
+      }
+
+      setFormVideo(null);
+      onDownloadFromUrl(videoId, url.trim()).catch((err) => {
+        if (err.name !== 'AbortError') {
+          setError(videoId, err.message);
+        }
+      });
+    },
+    [formVideo, url, onDownloadFromUrl, setError]
+  );
+
+  // Handle a chosen file
+  const handleFileChange = useCallback(
+    (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file || !formVideo) {
+        return;
+      }
+      const videoId = formVideo.id;
+
+      if (!file.type.startsWith('video/')) {
+        setError(videoId, 'Please choose a video file (e.g. .mp4)');
+        return;
+      }
+
+      setFormVideo(null);
+      onSaveFromFile(videoId, file).catch((err) => setError(videoId, err.message));
+    },
+    [formVideo, onSaveFromFile, setError]
+  );
+
+  // Handle deleting a stored copy
+  const handleRemove = useCallback(
+    (videoId) => {
+      setError(videoId, '');
+      onRemoveOfflineVideo(videoId).catch((err) =>
+        setError(videoId, `Could not delete the offline copy: ${err.message}`)
+      );
+    },
+    [onRemoveOfflineVideo, setError]
+  );
+
+  // Status line for a video in the list
+  const statusFor = (videoId) => {
+    if (videoId in downloads) {
+      const progress = downloads[videoId];
+      return progress === null ? 'Saving…' : `Downloading ${Math.round(progress * 100)}%`;
+    }
+    const record = offlineVideos[videoId];
+    if (record) {
+      return `✅ Available offline · ${formatBytes(record.size)}`;
+    }
+    if (localFiles[videoId]) {
+      return '📦 Bundled with the app';
+    }
+    return 'Needs internet';
+  };
+
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">📴 Offline Videos</h2>
+
+      <p className="setting-summary">
+        Save videos on this device so they play without internet. You need a direct
+        link to the video file (e.g. from your own storage) or the file itself.
+      </p>
+
+      {/* Storage meter */}
+      <p className="setting-summary">
+        {storedVideos.length} {storedVideos.length === 1 ? 'video' : 'videos'} stored ·{' '}
+        {formatBytes(storedBytes)}
+        {storageEstimate &&
+          ` · ${formatBytes(storageEstimate.usage)} of ${formatBytes(storageEstimate.quota)} browser storage used`}
+      </p>
+      {storageEstimate && storageEstimate.quota > 0 && (
+        <div className="report-bar storage-meter">
+          <div
+            className="report-bar-fill"
+            style={{ width: `${Math.min(storageEstimate.usage / storageEstimate.quota, 1) * 100}%` }}
+          />
+        </div>
+      )}
+
+      {/* Bundled files */}
+      {Object.keys(localFiles).length > 0 && (
+        <label className="setting-row">
+          <span className="setting-label">
+            Play bundled files ({Object.keys(localFiles).length})
+          </span>
+          <select
+            className="setting-select"
+            value={localPlayback}
+            onChange={(e) => onUpdateSettings({ localPlayback: e.target.value })}
+          >
+            {LOCAL_PLAYBACK_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {/* Library videos */}
+      {videos.map((video) => (
+        <div key={video.id} className="video-item" style={{ '--item-color': video.color }}>
+          <span className="item-emoji">{video.emoji}</span>
+          <div className="item-info">
+            <span className="item-title">{video.title}</span>
+            <span className="item-id">{statusFor(video.id)}</span>
+            {errors[video.id] && <span className="form-error">{errors[video.id]}</span>}
+          </div>
+          {video.id in downloads ? (
+            <button className="action-btn reset-btn" onClick={() => onCancelDownload(video.id)}>
+              ✖️ Cancel
+            </button>
+          ) : offlineVideos[video.id] ? (
+            <button
+              className="item-delete-btn"
+              onClick={() => handleRemove(video.id)}
+              aria-label={`Delete offline copy of ${video.title}`}
+            >
+              🗑️
+            </button>
+          ) : (
+            <button className="action-btn add-btn" onClick={() => handleOpenForm(video)}>
+              ⬇️ Save Offline
+            </button>
+          )}
+        </div>
+      ))}
+
+      {/* Stored copies of videos no longer in this library */}
+      {otherVideos.length > 0 && (
+        <>
+          <h3 className="report-heading">Other stored videos</h3>
+          {otherVideos.map((record) => (
+            <div key={record.videoId} className="video-item">
+              <div className="item-info">
+                <span className="item-title">{record.videoId}</span>
+                <span className="item-id">
+                  Not in this library (may belong to another profile) · {formatBytes(record.size)}
+                </span>
+                {errors[record.videoId] && (
+                  <span className="form-error">{errors[record.videoId]}</span>
+                )}
+              </div>
+              <button
+                className="item-delete-btn"
+                onClick={() => handleRemove(record.videoId)}
+                aria-label={`Delete offline copy of ${record.videoId}`}
+              >
+                🗑️
+              </button>
+            </div>
+          ))}
+        </>
+      )}
+
+      {/* Save form */}
+      {formVideo && (
+        <div className="add-form-overlay">
+          <form className="add-form" onSubmit={handleDownload}>
+            <h3 className="form-title">
+              Save {formVideo.emoji} {formVideo.title} Offline
+            </h3>
+
+            <label className="form-label">
+              Direct link to the video file
+              <input
+                type="url"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                placeholder="e.g., https://example.com/videos/dance-song.mp4"
+                className="form-input"
+              />
+            </label>
+
+            <div className="form-label">
+              Or use a video file on this device
+              <div className="settings-actions">
+                <button
+                  type="button"
+                  className="action-btn reset-btn"
+                  onClick={() => fileInputRef.current.click()}
+                >
+                  📁 Choose File
+                </button>
+              </div>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="video/*"
+                onChange={handleFileChange}
+                hidden
+              />
+            </div>
+
+            {errors[formVideo.id] && <p className="form-error">{errors[formVideo.id]}</p>}
+
+            <div className="form-buttons">
+              <button type="button" className="form-cancel-btn" onClick={() => setFormVideo(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="form-submit-btn" disabled={!url.trim()}>
+                Download
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </section>
+  );
+});
+
+export default OfflineVideos;
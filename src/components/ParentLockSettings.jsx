@@ -0,0 +1,183 @@
+import React, { useState, useCallback, memo } from 'react';
+import PinSetupForm from './PinSetupForm';
+import { GATE_METHODS, canHashSecrets } from '../utils/parentLock';
+import { CHALLENGE_TYPES, DIFFICULTIES } from '../utils/challenges';
+
+/**
+ * ParentLockSettings Component
+ *
+ * Settings section for the parental gate: set, change or remove the
+ * parent PIN, choose which gate methods unlock it (any one of the
+ * enabled methods is enough) and which challenge types the gate picks
+ * from, at what difficulty. Offers to set a PIN the first time
+ * settings open, until a parent sets one or says "Not now".
+ */
+const ParentLockSettings = memo(function ParentLockSettings({ parentLock, allowHold }) {
+  const {
+    hasPin,
+    recoveryQuestion,
+    methods,
+    challenges,
+    difficulty,
+    pinPromptDismissed,
+    setPin,
+    removePin,
+    setMethods,
+    setChallenges,
+    setDifficulty,
+    dismissPinPrompt
+  } = parentLock;
+  const isSupported = canHashSecrets();
+
+  // PIN form: 'prompt' (first visit), 'set', or null when closed
+  const [pinForm, setPinForm] = useState(() =>
+    isSupported && !hasPin && !pinPromptDismissed ? 'prompt' : null
+  );
+
+  // Handle saving a new PIN
+  const handleSavePin = useCallback(
+    async (pin, question, answer) => {
+      await setPin(pin, question, answer);
+      setPinForm(null);
+    },
+    [setPin]
+  );
+
+  // Handle closing the PIN form without saving
+  const handleCancelPin = useCallback(() => {
+    if (pinForm === 'prompt') {
+      dismissPinPrompt();
+    }
+    setPinForm(null);
+  }, [pinForm, dismissPinPrompt]);
+
+  // Handle turning one gate method on or off (at least one stays on)
+  const handleToggleMethod = useCallback(
+    (method, isEnabled) => {
+      const next = isEnabled
+        ? GATE_METHODS.map((m) => m.value).filter((m) => m === method || methods.includes(m))
+        : methods.filter((m) => m !== method);
+      if (next.length > 0) {
+        setMethods(next);
+      }
+    },
+    [methods, setMethods]
+  );
+
+  // Handle turning one challenge type on or off (at least one stays on)
+  const handleToggleChallenge = useCallback(
+    (type, isEnabled) => {
+      const next = isEnabled
+        ? CHALLENGE_TYPES.map((t) => t.value).filter((t) => t === type || challenges.includes(t))
+        : challenges.filter((t) => t !== type);
+      if (next.length > 0) {
+        setChallenges(next);
+      }
+    },
+    [challenges, setChallenges]
+  );
+
+  const availableMethods = GATE_METHODS.filter(
+    ({ value }) => (value !== 'pin' || hasPin) && (value !== 'hold' || allowHold)
+  );
+
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">🔐 Parent Lock</h2>
+
+      <p className="setting-summary">
+        {hasPin
+          ? 'A parent PIN is set. Any enabled method below opens the parent area.'
+          : 'No parent PIN yet. A PIN is much harder for children to get past than a math problem.'}
+      </p>
+
+      {!isSupported && (
+        <p className="form-error">
+          A PIN needs a secure connection (https://) - open the app over https to set one.
+        </p>
+      )}
+
+      {availableMethods.map(({ value, label }) => (
+        <label key={value} className="setting-row">
+          <span className="setting-label">{label}</span>
+          <input
+            type="checkbox"
+            className="setting-checkbox"
+            checked={methods.includes(value)}
+            disabled={methods.length === 1 && methods.includes(value)}
+            onChange={(e) => handleToggleMethod(value, e.target.checked)}
+          />
+        </label>
+      ))}
+
+      {methods.includes('challenge') && (
+        <div className="gate-challenge-settings">
+          <p className="setting-summary">The gate picks one of these challenges each time:</p>
+          {CHALLENGE_TYPES.map(({ value, label }) => (
+            <label key={value} className="setting-row">
+              <span className="setting-label">{label}</span>
+              <input
+                type="checkbox"
+                className="setting-checkbox"
+                checked={challenges.includes(value)}
+                disabled={challenges.length === 1 && challenges.includes(value)}
+                onChange={(e) => handleToggleChallenge(value, e.target.checked)}
+              />
+            </label>
+          ))}
+
+          <label className="setting-row">
+            <span className="setting-label">Difficulty</span>
+            <select
+              className="setting-select"
+              value={difficulty}
+              onChange={(e) => setDifficulty(e.target.value)}
+            >
+              {DIFFICULTIES.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {hasPin && recoveryQuestion && (
+        <p className="setting-summary">Recovery question: {recoveryQuestion}</p>
+      )}
+
+      <div className="settings-actions">
+        <button
+          className="action-btn add-btn"
+          onClick={() => setPinForm('set')}
+          disabled={!isSupported}
+        >
+          {hasPin ? '🔢 Change PIN' : '🔢 Set PIN'}
+        </button>
+        {hasPin && (
+          <button className="action-btn reset-btn" onClick={removePin}>
+            🗑️ Remove PIN
+          </button>
+        )}
+      </div>
+
+      {pinForm && (
+        <PinSetupForm
+          title={pinForm === 'prompt' ? 'Protect Settings with a PIN?' : 'Parent PIN'}
+          intro={
+            pinForm === 'prompt'
+              ? 'Choose a PIN only grown-ups know. You can change it or turn it off later.'
+              : null
+          }
+          cancelLabel={pinForm === 'prompt' ? 'Not now' : 'Cancel'}
+          initialQuestion={recoveryQuestion || ''}
+          onSave={handleSavePin}
+          onCancel={handleCancelPin}
+        />
+      )}
+    </section>
+  );
+});
+
+export default ParentLockSettings;
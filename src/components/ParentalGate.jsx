@@ -1,78 +1,101 @@
-import React, { useState, useCallback, useMemo, memo } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, memo } from 'react';
+import PinSetupForm from './PinSetupForm';
+import GateChallenge from './GateChallenge';
+import { GATE_METHODS } from '../utils/parentLock';
 
 /**
  * ParentalGate Component
  *
  * A verification gate to prevent children from accessing settings.
- * Uses a simple math problem that's easy for adults but difficult for young children.
+ * Any one of the methods the parent enabled opens it: the parent PIN,
+ * a challenge that's easy for adults but difficult for young children
+ * (one of the parent's chosen types, see GateChallenge), or holding a
+ * button. Failed attempts lock the gate for a growing time (see
+ * useParentLock), and a forgotten PIN is reset by answering the
+ * recovery question.
+ * `options` come from config.json "gate" (holdSeconds, allowHold).
  */
-const ParentalGate = memo(function ParentalGate({ onSuccess, onCancel }) {
-  // Generate a random math problem
-  const mathProblem = useMemo(() => {
-    const operations = ['+', '-', '×'];
-    const operation = operations[Math.floor(Math.random() * operations.length)];
-
-    let num1, num2, answer;
-
-    switch (operation) {
-      case '+':
-        num1 = Math.floor(Math.random() * 20) + 10;
-        num2 = Math.floor(Math.random() * 20) + 10;
-        answer = num1 + num2;
-        break;
-      case '-':
-        num1 = Math.floor(Math.random() * 30) + 20;
-        num2 = Math.floor(Math.random() * 15) + 5;
-        answer = num1 - num2;
-        break;
-      case '×':
-        num1 = Math.floor(Math.random() * 8) + 3;
-        num2 = Math.floor(Math.random() * 8) + 3;
-        answer = num1 * num2;
-        break;
-      default:
-        num1 = 10;
-        num2 = 5;
-        answer = 15;
-    }
+const ParentalGate = memo(function ParentalGate({ options, parentLock, onSuccess, onCancel }) {
+  const { holdSeconds, allowHold } = options;
+  const {
+    hasPin,
+    recoveryQuestion,
+    methods,
+    challenges,
+    difficulty,
+    lockedUntil,
+    recordFailure,
+    recordSuccess,
+    verifyPin,
+    verifyRecoveryAnswer,
+    setPin
+  } = parentLock;
 
-    return { num1, num2, operation, answer };
-  }, []);
+  // Enabled methods that can be used right now (a challenge when none can)
+  const gateMethods = useMemo(() => {
+    const usable = GATE_METHODS.map((m) => m.value).filter(
+      (method) =>
+        methods.includes(method) &&
+        (method !== 'pin' || hasPin) &&
+        (method !== 'hold' || allowHold)
+    );
+    return usable.length > 0 ? usable : ['challenge'];
+  }, [methods, hasPin, allowHold]);
 
-  const [userAnswer, setUserAnswer] = useState('');
-  const [attempts, setAttempts] = useState(0);
-  const [showError, setShowError] = useState(false);
+  // One of the enabled challenge types, picked each time the gate opens
+  const [challengeType] = useState(
+    () => challenges[Math.floor(Math.random() * challenges.length)]
+  );
 
-  // Handle input change
-  const handleInputChange = useCallback((e) => {
-    const value = e.target.value.replace(/[^0-9-]/g, '');
-    setUserAnswer(value);
-    setShowError(false);
-  }, []);
+  // 'verify', 'recover' (answering the recovery question) or 'newPin'
+  const [step, setStep] = useState('verify');
 
-  // Handle submit
-  const handleSubmit = useCallback(
-    (e) => {
-      e.preventDefault();
-
-      const parsed = parseInt(userAnswer, 10);
+  // Keep the lockout countdown fresh
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    setNow(Date.now());
+    if (lockedUntil <= Date.now()) {
+      return undefined;
+    }
+    const interval = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= lockedUntil) {
+        clearInterval(interval);
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [lockedUntil]);
+  const isLockedOut = lockedUntil > now;
 
-      if (parsed === mathProblem.answer) {
-        onSuccess();
-      } else {
-        setAttempts((prev) => prev + 1);
-        setShowError(true);
-        setUserAnswer('');
+  // Handle passing any of the methods
+  const handlePass = useCallback(() => {
+    recordSuccess();
+    onSuccess();
+  }, [recordSuccess, onSuccess]);
 
-        // After 3 failed attempts, auto-cancel
-        if (attempts >= 2) {
-          setTimeout(onCancel, 1500);
-        }
-      }
+  // Handle saving a new PIN after a reset
+  const handleSaveNewPin = useCallback(
+    async (pin, question, answer) => {
+      await setPin(pin, question, answer);
+      handlePass();
     },
-    [userAnswer, mathProblem.answer, attempts, onSuccess, onCancel]
+    [setPin, handlePass]
   );
 
+  if (step === 'newPin') {
+    return (
+      <PinSetupForm
+        title="Choose a New PIN"
+        initialQuestion={recoveryQuestion || ''}
+        onSave={handleSaveNewPin}
+        onCancel={onCancel}
+      />
+    );
+  }
+
+  const hasPinMethod = gateMethods.includes('pin');
+  const hasChallengeMethod = gateMethods.includes('challenge');
+
   return (
     <div className="parental-gate-overlay">
       <div className="parental-gate-modal">
@@ -91,75 +114,233 @@ const ParentalGate = memo(function ParentalGate({ onSuccess, onCancel }) {
           Parent Verification
         </h2>
 
-        {/* Instructions */}
-        <p className="gate-instructions">
-          Please solve this math problem to access settings:
-        </p>
-
-        {/* Math Problem */}
-        <div className="math-problem">
-          <span className="math-num">{mathProblem.num1}</span>
-          <span className="math-op">{mathProblem.operation}</span>
-          <span className="math-num">{mathProblem.num2}</span>
-          <span className="math-equals">=</span>
-          <span className="math-answer">?</span>
-        </div>
-
-        {/* Answer Form */}
-        <form onSubmit={handleSubmit} className="gate-form">
-          <input
-            type="text"
-            inputMode="numeric"
-            pattern="[0-9]*"
-            value={userAnswer}
-            onChange={handleInputChange}
-            placeholder="Enter answer"
-            className={`gate-input ${showError ? 'input-error' : ''}`}
-            autoFocus
-            autoComplete="off"
+        {isLockedOut ? (
+          <LockoutNotice remainingMs={lockedUntil - now} onCancel={onCancel} />
+        ) : step === 'recover' ? (
+          <RecoveryForm
+            question={recoveryQuestion}
+            verifyAnswer={verifyRecoveryAnswer}
+            onPass={() => setStep('newPin')}
+            onFail={recordFailure}
+            onBack={() => setStep('verify')}
           />
+        ) : (
+          <>
+            {hasPinMethod && (
+              <PinForm
+                verifyPin={verifyPin}
+                onPass={handlePass}
+                onFail={recordFailure}
+                onCancel={onCancel}
+                onForgot={recoveryQuestion ? () => setStep('recover') : null}
+              />
+            )}
 
-          {showError && (
-            <p className="error-message">
-              {attempts >= 3 ? 'Too many attempts!' : 'Incorrect, try again'}
-            </p>
-          )}
-
-          <div className="gate-buttons">
-            <button type="button" className="gate-cancel-btn" onClick={onCancel}>
-              Cancel
-            </button>
-            <button
-              type="submit"
-              className="gate-submit-btn"
-              disabled={!userAnswer}
-            >
-              Verify
-            </button>
-          </div>
-        </form>
-
-        {/* Alternative: Hold Button */}
-        <div className="gate-alternative">
-          <p className="alternative-text">Or hold this button for 3 seconds:</p>
-          <HoldButton onComplete={onSuccess} />
-        </div>
+            {hasChallengeMethod && (
+              <div className={hasPinMethod ? 'gate-alternative' : undefined}>
+                <GateChallenge
+                  type={challengeType}
+                  difficulty={difficulty}
+                  isAlternative={hasPinMethod}
+                  onPass={handlePass}
+                  onFail={recordFailure}
+                  onCancel={onCancel}
+                />
+              </div>
+            )}
+
+            {/* Alternative: Hold Button */}
+            {gateMethods.includes('hold') && (
+              <div className="gate-alternative">
+                <p className="alternative-text">
+                  {gateMethods.length > 1
+                    ? `Or hold this button for ${holdSeconds} seconds:`
+                    : `Hold this button for ${holdSeconds} seconds:`}
+                </p>
+                <HoldButton duration={holdSeconds * 1000} onComplete={handlePass} />
+              </div>
+            )}
+          </>
+        )}
       </div>
     </div>
   );
 });
 
+// Remaining lockout as "m:ss"
+function formatCountdown(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * LockoutNotice Component
+ *
+ * Shown instead of the gate methods while the gate is locked.
+ */
+function LockoutNotice({ remainingMs, onCancel }) {
+  return (
+    <div className="gate-lockout">
+      <p className="gate-instructions">Too many wrong answers.</p>
+      <p className="gate-lockout-timer">Try again in {formatCountdown(remainingMs)}</p>
+      <div className="gate-buttons">
+        <button type="button" className="gate-cancel-btn" onClick={onCancel}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * PinForm Component
+ *
+ * Parent PIN entry, with a link to reset a forgotten PIN.
+ */
+const PinForm = memo(function PinForm({ verifyPin, onPass, onFail, onCancel, onForgot }) {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+
+  // Handle submit
+  const handleSubmit = useCallback(
+    async (e) => {
+      e.preventDefault();
+      setIsChecking(true);
+      try {
+        if (await verifyPin(pin)) {
+          onPass();
+        } else {
+          onFail();
+          setError('Wrong PIN, try again');
+          setPin('');
+        }
+      } catch (err) {
+        setError(`Could not check the PIN: ${err.message}`);
+      } finally {
+        setIsChecking(false);
+      }
+    },
+    [pin, verifyPin, onPass, onFail]
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="gate-form">
+      <p className="gate-instructions">Enter the parent PIN:</p>
+      <input
+        type="password"
+        inputMode="numeric"
+        value={pin}
+        onChange={(e) => {
+          setPin(e.target.value.replace(/\D/g, '').slice(0, 8));
+          setError('');
+        }}
+        placeholder="PIN"
+        className={`gate-input ${error ? 'input-error' : ''}`}
+        autoFocus
+        autoComplete="off"
+      />
+
+      {error && <p className="error-message">{error}</p>}
+
+      <div className="gate-buttons">
+        <button type="button" className="gate-cancel-btn" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="gate-submit-btn" disabled={!pin || isChecking}>
+          Unlock
+        </button>
+      </div>
+
+      {onForgot && (
+        <button type="button" className="gate-link-btn" onClick={onForgot}>
+          Forgot PIN?
+        </button>
+      )}
+    </form>
+  );
+});
+
+/**
+ * RecoveryForm Component
+ *
+ * Answer the recovery question to choose a new PIN.
+ */
+const RecoveryForm = memo(function RecoveryForm({
+  question,
+  verifyAnswer,
+  onPass,
+  onFail,
+  onBack
+}) {
+  const [answer, setAnswer] = useState('');
+  const [error, setError] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+
+  // Handle submit
+  const handleSubmit = useCallback(
+    async (e) => {
+      e.preventDefault();
+      setIsChecking(true);
+      try {
+        if (await verifyAnswer(answer)) {
+          onPass();
+        } else {
+          onFail();
+          setError("That's not the answer, try again");
+          setAnswer('');
+        }
+      } catch (err) {
+        setError(`Could not check the answer: ${err.message}`);
+      } finally {
+        setIsChecking(false);
+      }
+    },
+    [answer, verifyAnswer, onPass, onFail]
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="gate-form">
+      <p className="gate-instructions">{question}</p>
+      <input
+        type="text"
+        value={answer}
+        onChange={(e) => {
+          setAnswer(e.target.value);
+          setError('');
+        }}
+        placeholder="Your answer"
+        className={`gate-input gate-text-input ${error ? 'input-error' : ''}`}
+        autoFocus
+        autoComplete="off"
+      />
+
+      {error && <p className="error-message">{error}</p>}
+
+      <div className="gate-buttons">
+        <button type="button" className="gate-cancel-btn" onClick={onBack}>
+          Back
+        </button>
+        <button type="submit" className="gate-submit-btn" disabled={!answer.trim() || isChecking}>
+          Reset PIN
+        </button>
+      </div>
+    </form>
+  );
+});
+
 /**
  * HoldButton Component
  *
- * A button that must be held for 3 seconds to activate.
+ * A button that must be held for `duration` milliseconds to activate.
  * Alternative parental gate mechanism.
  */
-const HoldButton = memo(function HoldButton({ onComplete }) {
+const HoldButton = memo(function HoldButton({ duration, onComplete }) {
   const [progress, setProgress] = useState(0);
   const [isHolding, setIsHolding] = useState(false);
   const intervalRef = React.useRef(null);
-  const HOLD_DURATION = 3000; // 3 seconds
   const UPDATE_INTERVAL = 50; // Update every 50ms
 
   const startHold = useCallback(() => {
@@ -169,15 +350,15 @@ const HoldButton = memo(function HoldButton({ onComplete }) {
     let elapsed = 0;
     intervalRef.current = setInterval(() => {
       elapsed += UPDATE_INTERVAL;
-      const newProgress = (elapsed / HOLD_DURATION) * 100;
+      const newProgress = (elapsed / duration) * 100;
       setProgress(newProgress);
 
-      if (elapsed >= HOLD_DURATION) {
+      if (elapsed >= duration) {
         clearInterval(intervalRef.current);
         onComplete();
       }
     }, UPDATE_INTERVAL);
-  }, [onComplete]);
+  }, [duration, onComplete]);
 
   const stopHold = useCallback(() => {
     setIsHolding(false);
@@ -0,0 +1,134 @@
+import React, { useState, useCallback, memo } from 'react';
+import { PIN_PATTERN, RECOVERY_QUESTIONS } from '../utils/parentLock';
+
+/**
+ * PinSetupForm Component
+ *
+ * Overlay for choosing a parent PIN (4-8 digits, typed twice) and a
+ * recovery question whose answer resets a forgotten PIN. Used the first
+ * time settings open, for "Change PIN", and after a PIN reset.
+ */
+const PinSetupForm = memo(function PinSetupForm({
+  title,
+  intro,
+  cancelLabel = 'Cancel',
+  initialQuestion = '',
+  onSave,
+  onCancel
+}) {
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [question, setQuestion] = useState(initialQuestion);
+  const [answer, setAnswer] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Handle form submit
+  const handleSubmit = useCallback(
+    async (e) => {
+      e.preventDefault();
+      setError('');
+
+      if (!PIN_PATTERN.test(pin)) {
+        setError('The PIN must be 4 to 8 digits');
+        return;
+      }
+      if (pin !== confirmPin) {
+        setError('The two PINs are different');
+        return;
+      }
+      if (!question.trim() || !answer.trim()) {
+        setError('Choose a recovery question and answer it');
+        return;
+      }
+
+      setIsSaving(true);
+      try {
+        await onSave(pin, question, answer);
+      } catch (err) {
+        setError(`The PIN could not be saved: ${err.message}`);
+        setIsSaving(false);
+      }
+    },
+    [pin, confirmPin, question, answer, onSave]
+  );
+
+  const digitsOnly = (value) => value.replace(/\D/g, '').slice(0, 8);
+
+  return (
+    <div className="add-form-overlay">
+      <form className="add-form" onSubmit={handleSubmit}>
+        <h3 className="form-title">{title}</h3>
+        {intro && <p className="setting-summary">{intro}</p>}
+
+        <label className="form-label">
+          New PIN (4-8 digits)
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="new-password"
+            value={pin}
+            onChange={(e) => setPin(digitsOnly(e.target.value))}
+            className="form-input"
+            autoFocus
+          />
+        </label>
+
+        <label className="form-label">
+          Type the PIN again
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="new-password"
+            value={confirmPin}
+            onChange={(e) => setConfirmPin(digitsOnly(e.target.value))}
+            className="form-input"
+          />
+        </label>
+
+        <label className="form-label">
+          Recovery question (to reset a forgotten PIN)
+          <input
+            type="text"
+            list="recovery-questions"
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder="Pick one or write your own"
+            className="form-input"
+            maxLength={120}
+          />
+          <datalist id="recovery-questions">
+            {RECOVERY_QUESTIONS.map((suggestion) => (
+              <option key={suggestion} value={suggestion} />
+            ))}
+          </datalist>
+        </label>
+
+        <label className="form-label">
+          Answer
+          <input
+            type="text"
+            autoComplete="off"
+            value={answer}
+            onChange={(e) => setAnswer(e.target.value)}
+            className="form-input"
+            maxLength={120}
+          />
+        </label>
+
+        {error && <p className="form-error">{error}</p>}
+
+        <div className="form-buttons">
+          <button type="button" className="form-cancel-btn" onClick={onCancel}>
+            {cancelLabel}
+          </button>
+          <button type="submit" className="form-submit-btn" disabled={isSaving || !pin}>
+            {isSaving ? 'Saving...' : 'Save PIN'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+});
+
+export default PinSetupForm;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback, memo } from 'react';
+import { formatPlayerTime } from '../utils/playerApi';
+
+// How often the scrubber follows playback
+const PROGRESS_INTERVAL = 250;
+
+// Controls hide after this long without a tap while the video plays
+const AUTO_HIDE_MS = 4000;
+
+/**
+ * PlayerControls Component
+ *
+ * Large, kid-sized playback controls shared by the YouTube player and the
+ * local <video> fallback (see utils/playerApi): play/pause, restart, a
+ * chunky scrubber and a volume slider that never goes above the parent's
+ * volume cap (maxVolume, percent).
+ *
+ * A transparent shield covers the whole video so taps never reach the
+ * YouTube player itself (no logo, title or "Watch on YouTube" links).
+ * Tapping the video shows or hides the controls; they hide by themselves
+ * while playing and stay up while paused.
+ */
+const PlayerControls = memo(function PlayerControls({ player, isPlaying, maxVolume }) {
+  const [time, setTime] = useState({ current: 0, duration: 0 });
+  // Scrubber position while it is being dragged, else null
+  const [scrubTime, setScrubTime] = useState(null);
+  const [volume, setVolume] = useState(maxVolume);
+  const [isVisible, setIsVisible] = useState(true);
+  const [lastActivity, setLastActivity] = useState(() => Date.now());
+
+  // Follow the playback position
+  useEffect(() => {
+    if (!player) {
+      return undefined;
+    }
+    const update = () => {
+      try {
+        setTime({ current: player.getCurrentTime(), duration: player.getDuration() });
+      } catch {
+        // Player is being torn down
+      }
+    };
+    update();
+    const interval = setInterval(update, PROGRESS_INTERVAL);
+    return () => clearInterval(interval);
+  }, [player]);
+
+  // Apply the volume, never above the cap
+  useEffect(() => {
+    if (player) {
+      player.setVolume(Math.min(volume, maxVolume));
+    }
+  }, [player, volume, maxVolume]);
+
+  // Hide the controls a while after the last tap, unless paused
+  useEffect(() => {
+    if (!isVisible || !isPlaying || scrubTime !== null) {
+      return undefined;
+    }
+    const timeout = setTimeout(() => setIsVisible(false), AUTO_HIDE_MS);
+    return () => clearTimeout(timeout);
+  }, [isVisible, isPlaying, scrubTime, lastActivity]);
+
+  // Any use of the controls keeps them up
+  const keepVisible = useCallback(() => {
+    setIsVisible(true);
+    setLastActivity(Date.now());
+  }, []);
+
+  // Handle a tap on the video itself
+  const handleShieldTap = useCallback(() => {
+    if (isVisible && isPlaying) {
+      setIsVisible(false);
+    } else {
+      keepVisible();
+    }
+  }, [isVisible, isPlaying, keepVisible]);
+
+  // Handle play/pause
+  const handleTogglePlay = useCallback(() => {
+    keepVisible();
+    if (isPlaying) {
+      player.pause();
+    } else {
+      player.play();
+    }
+  }, [player, isPlaying, keepVisible]);
+
+  // Handle restart from the beginning
+  const handleRestart = useCallback(() => {
+    keepVisible();
+    player.seekTo(0);
+    player.play();
+    setTime((prev) => ({ ...prev, current: 0 }));
+  }, [player, keepVisible]);
+
+  // Handle dragging the scrubber
+  const handleScrub = useCallback(
+    (e) => {
+      keepVisible();
+      setScrubTime(Number(e.target.value));
+    },
+    [keepVisible]
+  );
+
+  // Handle letting go of the scrubber - seek once, not on every move
+  const handleScrubEnd = useCallback(() => {
+    if (scrubTime === null) {
+      return;
+    }
+    player.seekTo(scrubTime);
+    setTime((prev) => ({ ...prev, current: scrubTime }));
+    setScrubTime(null);
+  }, [player, scrubTime]);
+
+  const shownTime = scrubTime === null ? time.current : scrubTime;
+  const progress = time.duration > 0 ? (shownTime / time.duration) * 100 : 0;
+
+  return (
+    <>
+      {/* Shield - keeps taps away from the YouTube player */}
+      <div className="player-shield" onClick={handleShieldTap} aria-hidden="true" />
+
+      {player && (
+        <div className={`player-controls ${isVisible ? '' : 'hidden'}`}>
+          <button
+            className="player-control-btn player-play-btn"
+            onClick={handleTogglePlay}
+            aria-label={isPlaying ? 'Pause' : 'Play'}
+          >
+            {isPlaying ? '⏸' : '▶'}
+          </button>
+
+          <button
+            className="player-control-btn"
+            onClick={handleRestart}
+            aria-label="Start again"
+          >
+            ⏮
+          </button>
+
+          <input
+            type="range"
+            className="player-scrubber"
+            min={0}
+            max={time.duration || 0}
+            step={1}
+            value={Math.min(shownTime, time.duration || 0)}
+            disabled={!time.duration}
+            onChange={handleScrub}
+            onPointerUp={handleScrubEnd}
+            onKeyUp={handleScrubEnd}
+            onBlur={handleScrubEnd}
+            style={{ '--progress': `${progress}%` }}
+            aria-label="Video position"
+            aria-valuetext={`${formatPlayerTime(shownTime)} of ${formatPlayerTime(time.duration)}`}
+          />
+
+          <span className="player-time">
+            {formatPlayerTime(shownTime)} / {formatPlayerTime(time.duration)}
+          </span>
+
+          <label className="player-volume">
+            <span aria-hidden="true">{volume === 0 ? '🔇' : '🔊'}</span>
+            <input
+              type="range"
+              className="player-volume-slider"
+              min={0}
+              max={maxVolume}
+              step={5}
+              value={Math.min(volume, maxVolume)}
+              onChange={(e) => {
+                keepVisible();
+                setVolume(Number(e.target.value));
+              }}
+              style={{ '--progress': `${(Math.min(volume, maxVolume) / maxVolume) * 100}%` }}
+              aria-label="Volume"
+            />
+          </label>
+        </div>
+      )}
+    </>
+  );
+});
+
+export default PlayerControls;
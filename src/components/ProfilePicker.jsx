@@ -0,0 +1,146 @@
+import React, { useState, useCallback, memo } from 'react';
+import { AVATARS } from '../utils/profiles';
+
+/**
+ * ProfilePicker Component
+ *
+ * Big-picture "Who's watching?" screen shown before the video grid.
+ * Each child taps their own avatar. Picking a different child than
+ * the current one, or adding a new child, goes through the parental gate
+ * (handled by the parent component).
+ */
+const ProfilePicker = memo(function ProfilePicker({
+  profiles,
+  activeProfileId,
+  isCreating,
+  onSelect,
+  onAddRequest,
+  onCreate,
+  onCancelCreate
+}) {
+  return (
+    <div className="video-grid-container profile-picker">
+      {/* Header */}
+      <header className="grid-header">
+        <h1 className="grid-title">
+          <span className="title-emoji">👋</span>
+          Who's watching?
+        </h1>
+      </header>
+
+      {/* Profile Tiles */}
+      <div className="profile-grid">
+        {profiles.map((profile) => (
+          <button
+            key={profile.id}
+            className={`profile-tile ${profile.id === activeProfileId ? 'active' : ''}`}
+            onClick={() => onSelect(profile)}
+            aria-label={`Watch as ${profile.name}`}
+          >
+            <span className="profile-avatar">{profile.avatar}</span>
+            <span className="profile-name">{profile.name}</span>
+          </button>
+        ))}
+
+        {/* Add child - requires parental gate */}
+        <button
+          className="profile-tile profile-add-tile"
+          onClick={onAddRequest}
+          aria-label="Add a child (parents only)"
+        >
+          <span className="profile-avatar">➕</span>
+          <span className="profile-name">Add</span>
+        </button>
+      </div>
+
+      {isCreating && <ProfileForm onSubmit={onCreate} onCancel={onCancelCreate} />}
+    </div>
+  );
+});
+
+/**
+ * ProfileForm Component
+ *
+ * Name and avatar form for creating a new child profile.
+ */
+const ProfileForm = memo(function ProfileForm({ onSubmit, onCancel }) {
+  const [name, setName] = useState('');
+  const [avatar, setAvatar] = useState(AVATARS[0]);
+  const [error, setError] = useState('');
+
+  // Handle submit
+  const handleSubmit = useCallback(
+    (e) => {
+      e.preventDefault();
+
+      if (!name.trim()) {
+        setError('Please enter a name');
+        return;
+      }
+
+      onSubmit(name.trim(), avatar);
+    },
+    [name, avatar, onSubmit]
+  );
+
+  return (
+    <div className="add-form-overlay">
+      <form className="add-form" onSubmit={handleSubmit}>
+        <h3 className="form-title">Add a Child</h3>
+
+        <label className="form-label">
+          Name
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g., Emma"
+            className="form-input"
+            maxLength={20}
+            autoFocus
+          />
+        </label>
+
+        <AvatarPicker value={avatar} onChange={setAvatar} />
+
+        {error && <p className="form-error">{error}</p>}
+
+        <div className="form-buttons">
+          <button type="button" className="form-cancel-btn" onClick={onCancel}>
+            Cancel
+          </button>
+          <button type="submit" className="form-submit-btn">
+            Add Child
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+});
+
+/**
+ * AvatarPicker Component
+ *
+ * Row of avatar emoji buttons, shared by the create form and settings.
+ */
+export const AvatarPicker = memo(function AvatarPicker({ value, onChange }) {
+  return (
+    <div className="form-label">
+      Choose Avatar
+      <div className="emoji-picker">
+        {AVATARS.map((avatar) => (
+          <button
+            key={avatar}
+            type="button"
+            className={`emoji-btn ${value === avatar ? 'selected' : ''}`}
+            onClick={() => onChange(avatar)}
+          >
+            {avatar}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+export default ProfilePicker;
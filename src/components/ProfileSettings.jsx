@@ -0,0 +1,108 @@
+import React, { useState, memo } from 'react';
+import { AvatarPicker } from './ProfilePicker';
+
+/**
+ * ProfileSettings Component
+ *
+ * Settings section for child profiles. Edits the name and avatar of the
+ * profile being managed, and lets parents switch to, add or remove profiles.
+ * Removing a profile asks first, since its library, settings and history
+ * are deleted for good. Everything else in the settings panel applies to
+ * the selected profile.
+ */
+const ProfileSettings = memo(function ProfileSettings({
+  profiles,
+  activeProfile,
+  onSelectProfile,
+  onAddProfile,
+  onUpdateProfile,
+  onRemoveProfile
+}) {
+  const [showRemoveConfirm, setShowRemoveConfirm] = useState(false);
+
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">👨‍👩‍👧 Child Profiles</h2>
+
+      {/* Profile switcher */}
+      <div className="profile-chips">
+        {profiles.map((profile) => (
+          <button
+            key={profile.id}
+            type="button"
+            className={`profile-chip ${profile.id === activeProfile.id ? 'selected' : ''}`}
+            onClick={() => onSelectProfile(profile.id)}
+            aria-pressed={profile.id === activeProfile.id}
+          >
+            <span>{profile.avatar}</span> {profile.name}
+          </button>
+        ))}
+        <button
+          type="button"
+          className="profile-chip"
+          onClick={() => onAddProfile(`Child ${profiles.length + 1}`, '🧒')}
+        >
+          ➕ Add
+        </button>
+      </div>
+
+      {/* Selected profile details */}
+      <label className="form-label">
+        Name
+        <input
+          type="text"
+          value={activeProfile.name}
+          onChange={(e) => onUpdateProfile({ name: e.target.value })}
+          className="form-input"
+          maxLength={20}
+        />
+      </label>
+
+      <AvatarPicker value={activeProfile.avatar} onChange={(avatar) => onUpdateProfile({ avatar })} />
+
+      {profiles.length > 1 && (
+        <button
+          className="action-btn reset-btn"
+          onClick={() => setShowRemoveConfirm(true)}
+        >
+          🗑️ Remove {activeProfile.name}
+        </button>
+      )}
+
+      {/* Remove Confirmation */}
+      {showRemoveConfirm && (
+        <div className="add-form-overlay">
+          <div className="add-form">
+            <h3 className="form-title">Remove {activeProfile.name}?</h3>
+            <p className="setting-summary">
+              {activeProfile.name}'s library of {activeProfile.library.length} videos, collections,
+              settings, watch history, recycle bin and snapshots are deleted. This can't be
+              undone - use "Export Library" first to keep the videos.
+            </p>
+            <div className="form-buttons">
+              <button
+                type="button"
+                className="form-cancel-btn"
+                onClick={() => setShowRemoveConfirm(false)}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                className="form-submit-btn"
+                onClick={() => {
+                  onRemoveProfile(activeProfile.id);
+                  setShowRemoveConfirm(false);
+                }}
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+});
+
+export default ProfileSettings;
@@ -0,0 +1,51 @@
+import React, { memo } from 'react';
+import { getThumbnailUrl } from '../utils/thumbnails';
+
+/**
+ * RecycleBin Component
+ *
+ * Settings section listing the videos removed from the selected profile's
+ * library. Each one can be put back (at the end of the library) or the
+ * bin emptied for good. Hidden while the bin is empty.
+ */
+const RecycleBin = memo(function RecycleBin({ recycleBin, onRestoreVideo, onEmptyRecycleBin }) {
+  if (recycleBin.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">♻️ Recycle Bin ({recycleBin.length})</h2>
+
+      <p className="setting-summary">
+        Removed videos are kept here until you empty the bin.
+      </p>
+
+      {recycleBin.map(({ video, deletedAt }) => (
+        <div key={video.id} className="video-item" style={{ '--item-color': video.color }}>
+          <img
+            src={getThumbnailUrl(video.id, 'default')}
+            alt={video.title}
+            className="item-thumbnail"
+          />
+          <div className="item-info">
+            <span className="item-emoji">{video.emoji}</span>
+            <span className="item-title">{video.title}</span>
+            <span className="item-id">Removed {new Date(deletedAt).toLocaleString()}</span>
+          </div>
+          <button className="action-btn add-btn" onClick={() => onRestoreVideo(video)}>
+            ↩️ Restore
+          </button>
+        </div>
+      ))}
+
+      <div className="settings-actions">
+        <button className="action-btn reset-btn" onClick={onEmptyRecycleBin}>
+          🗑️ Empty Recycle Bin
+        </button>
+      </div>
+    </section>
+  );
+});
+
+export default RecycleBin;
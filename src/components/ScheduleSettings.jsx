@@ -0,0 +1,140 @@
+import React, { useCallback, memo } from 'react';
+import { DAY_LABELS, WEEKDAYS, crossesMidnight } from '../utils/schedule';
+
+/**
+ * ScheduleSettings Component
+ *
+ * Settings section for the weekly allowed-hours schedule.
+ * Each window has a set of days and a start/end time; outside
+ * every window the grid shows the "videos are sleeping" screen. A window
+ * that ends at or before its start time runs into the next day, which
+ * the form points out.
+ */
+const ScheduleSettings = memo(function ScheduleSettings({ schedule, onUpdateSettings }) {
+  // Save a new schedule object
+  const updateSchedule = useCallback(
+    (changes) => {
+      onUpdateSettings({ schedule: { ...schedule, ...changes } });
+    },
+    [schedule, onUpdateSettings]
+  );
+
+  // Update one window by index
+  const updateWindow = useCallback(
+    (index, changes) => {
+      updateSchedule({
+        windows: schedule.windows.map((timeWindow, i) =>
+          i === index ? { ...timeWindow, ...changes } : timeWindow
+        )
+      });
+    },
+    [schedule, updateSchedule]
+  );
+
+  // Toggle a day on or off for one window
+  const toggleDay = useCallback(
+    (index, day) => {
+      const { days } = schedule.windows[index];
+      const newDays = days.includes(day)
+        ? days.filter((d) => d !== day)
+        : [...days, day].sort((a, b) => a - b);
+      updateWindow(index, { days: newDays });
+    },
+    [schedule, updateWindow]
+  );
+
+  // Add a new weekday afternoon window
+  const addWindow = useCallback(() => {
+    updateSchedule({
+      windows: [...schedule.windows, { days: WEEKDAYS, start: '16:00', end: '18:00' }]
+    });
+  }, [schedule, updateSchedule]);
+
+  // Remove one window by index
+  const removeWindow = useCallback(
+    (index) => {
+      updateSchedule({ windows: schedule.windows.filter((_, i) => i !== index) });
+    },
+    [schedule, updateSchedule]
+  );
+
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">🛏️ Allowed Hours</h2>
+
+      <label className="setting-row">
+        <span className="setting-label">Only allow videos during these times</span>
+        <input
+          type="checkbox"
+          className="setting-checkbox"
+          checked={schedule.enabled}
+          onChange={(e) => updateSchedule({ enabled: e.target.checked })}
+        />
+      </label>
+
+      {schedule.enabled && (
+        <>
+          {schedule.windows.map((timeWindow, index) => (
+            <div key={index} className="schedule-window">
+              <div className="schedule-days">
+                {DAY_LABELS.map((label, day) => (
+                  <button
+                    key={label}
+                    type="button"
+                    className={`schedule-day-btn ${timeWindow.days.includes(day) ? 'selected' : ''}`}
+                    onClick={() => toggleDay(index, day)}
+                    aria-pressed={timeWindow.days.includes(day)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <div className="schedule-times">
+                <input
+                  type="time"
+                  className="setting-select"
+                  value={timeWindow.start}
+                  onChange={(e) => e.target.value && updateWindow(index, { start: e.target.value })}
+                  aria-label="Start time"
+                />
+                <span className="schedule-to">to</span>
+                <input
+                  type="time"
+                  className="setting-select"
+                  value={timeWindow.end}
+                  onChange={(e) => e.target.value && updateWindow(index, { end: e.target.value })}
+                  aria-label="End time"
+                />
+                <button
+                  type="button"
+                  className="item-delete-btn"
+                  onClick={() => removeWindow(index)}
+                  aria-label="Remove time window"
+                >
+                  🗑️
+                </button>
+              </div>
+              {crossesMidnight(timeWindow) && (
+                <p className="setting-summary">
+                  {timeWindow.end === '00:00'
+                    ? 'Until midnight.'
+                    : `Runs overnight, until ${timeWindow.end} the next day.`}
+                </p>
+              )}
+            </div>
+          ))}
+
+          {schedule.windows.length === 0 && (
+            <p className="setting-summary">No time windows - videos are always sleeping.</p>
+          )}
+
+          <button className="action-btn reset-btn" onClick={addWindow}>
+            ➕ Add Time Window
+          </button>
+        </>
+      )}
+    </section>
+  );
+});
+
+export default ScheduleSettings;
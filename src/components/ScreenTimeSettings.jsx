@@ -0,0 +1,73 @@
+import React, { memo } from 'react';
+import { formatMinutes } from '../utils/dates';
+
+/**
+ * ScreenTimeSettings Component
+ *
+ * Settings section for the daily watch-time budget.
+ * Shows today's usage and lets parents choose the limit and
+ * how early the "almost done" warning appears.
+ */
+
+// Daily budget choices in minutes (0 = no limit)
+const LIMIT_OPTIONS = [0, 15, 30, 45, 60, 90, 120];
+
+// Wind-down warning choices in minutes before the budget runs out
+const WIND_DOWN_OPTIONS = [1, 2, 5, 10];
+
+const ScreenTimeSettings = memo(function ScreenTimeSettings({
+  settings,
+  secondsWatchedToday,
+  onUpdateSettings,
+  onResetScreenTime
+}) {
+  const { dailyLimitMinutes, windDownMinutes } = settings;
+
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">⏱️ Screen Time</h2>
+
+      <p className="setting-summary">
+        Watched today: <strong>{formatMinutes(secondsWatchedToday)}</strong>
+        {dailyLimitMinutes > 0 && ` of ${formatMinutes(dailyLimitMinutes * 60)}`}
+      </p>
+
+      <label className="setting-row">
+        <span className="setting-label">Daily limit</span>
+        <select
+          className="setting-select"
+          value={dailyLimitMinutes}
+          onChange={(e) => onUpdateSettings({ dailyLimitMinutes: Number(e.target.value) })}
+        >
+          {LIMIT_OPTIONS.map((minutes) => (
+            <option key={minutes} value={minutes}>
+              {minutes === 0 ? 'No limit' : formatMinutes(minutes * 60)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="setting-row">
+        <span className="setting-label">"Almost done" warning</span>
+        <select
+          className="setting-select"
+          value={windDownMinutes}
+          disabled={dailyLimitMinutes === 0}
+          onChange={(e) => onUpdateSettings({ windDownMinutes: Number(e.target.value) })}
+        >
+          {WIND_DOWN_OPTIONS.map((minutes) => (
+            <option key={minutes} value={minutes}>
+              {minutes} min before
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <button className="action-btn reset-btn" onClick={onResetScreenTime}>
+        ↩️ Reset Today's Timer
+      </button>
+    </section>
+  );
+});
+
+export default ScreenTimeSettings;
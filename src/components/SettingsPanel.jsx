@@ -1,60 +1,93 @@
 import React, { useState, useCallback, memo } from 'react';
+import ProfileSettings from './ProfileSettings';
+import ScreenTimeSettings from './ScreenTimeSettings';
+import ScheduleSettings from './ScheduleSettings';
+import VolumeSettings from './VolumeSettings';
+import CollectionSettings from './CollectionSettings';
+import WatchReport from './WatchReport';
+import LibraryTransfer from './LibraryTransfer';
+import BulkAddForm from './BulkAddForm';
+import StorageRecovery from './StorageRecovery';
+import OfflineVideos from './OfflineVideos';
+import ParentLockSettings from './ParentLockSettings';
+import LibraryList from './LibraryList';
+import RecycleBin from './RecycleBin';
+import LibrarySnapshots from './LibrarySnapshots';
+import { EMOJIS, COLORS } from '../utils/palettes';
+import { extractVideoId } from '../utils/videoIds';
 
 /**
  * SettingsPanel Component
  *
- * Parent settings panel for managing the video library.
+ * Parent settings panel for the parent PIN, child profiles and, for the
+ * selected profile, the video library (edited and reordered in place)
+ * with its recycle bin and snapshots, its collections, the daily
+ * screen-time budget, the player's volume cap, the allowed-hours schedule,
+ * the watch report and the copies saved for offline playback.
+ * Sections turned off in config.json ("features") are hidden.
  * Only accessible after passing the parental gate.
  */
 const SettingsPanel = memo(function SettingsPanel({
+  features,
+  parentLock,
+  allowHoldGate,
   videos,
+  profiles,
+  activeProfile,
+  onSelectProfile,
+  onAddProfile,
+  onUpdateProfile,
+  onRemoveProfile,
+  settings,
+  secondsWatchedToday,
   onClose,
+  onUpdateSettings,
+  onResetScreenTime,
+  history,
+  onClearHistory,
   onAddVideo,
+  onAddVideos,
   onRemoveVideo,
-  onResetVideos
+  recycleBin,
+  onRestoreVideo,
+  onEmptyRecycleBin,
+  snapshots,
+  onRestoreSnapshot,
+  onRemoveSnapshot,
+  onResetVideos,
+  onImportLibrary,
+  savedPositionCount,
+  onClearPositions,
+  collections,
+  onAddCollection,
+  onRemoveCollection,
+  onUpdateCollection,
+  onAssignCollection,
+  onUpdateVideo,
+  onMoveVideo,
+  coverUrls,
+  onSaveCover,
+  onRemoveCover,
+  offlineVideos,
+  localFiles,
+  downloads,
+  storageEstimate,
+  onDownloadFromUrl,
+  onSaveFromFile,
+  onCancelDownload,
+  onRemoveOfflineVideo,
+  isUpdateReady,
+  onUpdateRequest
 }) {
   const [showAddForm, setShowAddForm] = useState(false);
+  const [showBulkForm, setShowBulkForm] = useState(false);
+  const [showResetConfirm, setShowResetConfirm] = useState(false);
   const [newVideoId, setNewVideoId] = useState('');
   const [newVideoTitle, setNewVideoTitle] = useState('');
   const [newVideoEmoji, setNewVideoEmoji] = useState('🎵');
   const [error, setError] = useState('');
 
-  // Available emojis for selection
-  const emojis = ['🎵', '🎬', '🎪', '🎨', '🎭', '🦁', '🐻', '🦄', '🌈', '⭐', '🚀', '🎸'];
-
-  // Available colors for selection
-  const colors = [
-    '#FF6B6B', '#4ECDC4', '#FFE66D', '#95E1D3',
-    '#A78BFA', '#67B7DC', '#FDCB6E', '#FF85A2',
-    '#B2F2BB', '#C4B5FD', '#F9A826', '#FF9FF3'
-  ];
-
-  const [selectedColor, setSelectedColor] = useState(colors[0]);
-
-  // Extract YouTube video ID from URL or ID
-  const extractVideoId = useCallback((input) => {
-    // If it's already an ID (11 characters, alphanumeric + _ -)
-    if (/^[a-zA-Z0-9_-]{11}$/.test(input)) {
-      return input;
-    }
-
-    // Try to extract from various YouTube URL formats
-    const patterns = [
-      /(?:youtube\.com\/watch\?v=)([a-zA-Z0-9_-]{11})/,
-      /(?:youtu\.be\/)([a-zA-Z0-9_-]{11})/,
-      /(?:youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/,
-      /(?:youtube\.com\/v\/)([a-zA-Z0-9_-]{11})/
-    ];
-
-    for (const pattern of patterns) {
-      const match = input.match(pattern);
-      if (match) {
-        return match[1];
-      }
-    }
-
-    return null;
-  }, []);
+  const [selectedColor, setSelectedColor] = useState(COLORS[0]);
 
   // Handle adding a new video
   const handleAddVideo = useCallback(
@@ -92,7 +125,7 @@ const SettingsPanel = memo(function SettingsPanel({
       setNewVideoTitle('');
       setShowAddForm(false);
     },
-    [newVideoId, newVideoTitle, newVideoEmoji, selectedColor, videos, extractVideoId, onAddVideo]
+    [newVideoId, newVideoTitle, newVideoEmoji, selectedColor, videos, onAddVideo]
   );
 
   return (
@@ -105,6 +138,12 @@ const SettingsPanel = memo(function SettingsPanel({
         <h1 className="settings-title">
           <span>⚙️</span> Parent Settings
         </h1>
+        {/* New app version - applied only after the parental gate */}
+        {isUpdateReady && (
+          <button className="update-badge" onClick={onUpdateRequest}>
+            🆕 Update ready
+          </button>
+        )}
       </header>
 
       {/* Actions */}
@@ -115,11 +154,65 @@ const SettingsPanel = memo(function SettingsPanel({
         >
           ➕ Add Video
         </button>
-        <button className="action-btn reset-btn" onClick={onResetVideos}>
+        {features.bulkAdd && (
+          <button className="action-btn add-btn" onClick={() => setShowBulkForm(true)}>
+            📋 Bulk Add
+          </button>
+        )}
+        <button className="action-btn reset-btn" onClick={() => setShowResetConfirm(true)}>
           🔄 Reset to Defaults
         </button>
+        <button
+          className="action-btn reset-btn"
+          onClick={onClearPositions}
+          disabled={savedPositionCount === 0}
+        >
+          ⏮️ Clear Resume Points ({savedPositionCount})
+        </button>
       </div>
 
+      {/* Reset confirmation */}
+      {showResetConfirm && (
+        <div className="add-form-overlay">
+          <div className="add-form">
+            <h3 className="form-title">Reset {activeProfile.name}'s Library?</h3>
+            <p className="setting-summary">
+              The {videos.length} videos and {collections.length} collections are replaced by
+              the default library. A snapshot is saved first, so you can roll back from
+              Library Snapshots below.
+            </p>
+            <div className="form-buttons">
+              <button
+                type="button"
+                className="form-cancel-btn"
+                onClick={() => setShowResetConfirm(false)}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                className="form-submit-btn"
+                onClick={() => {
+                  onResetVideos();
+                  setShowResetConfirm(false);
+                }}
+              >
+                Reset
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Bulk Add Form */}
+      {showBulkForm && (
+        <BulkAddForm
+          videos={videos}
+          onAddVideos={onAddVideos}
+          onClose={() => setShowBulkForm(false)}
+        />
+      )}
+
       {/* Add Video Form */}
       {showAddForm && (
         <div className="add-form-overlay">
@@ -152,7 +245,7 @@ const SettingsPanel = memo(function SettingsPanel({
             <div className="form-label">
               Choose Emoji
               <div className="emoji-picker">
-                {emojis.map((emoji) => (
+                {EMOJIS.map((emoji) => (
                   <button
                     key={emoji}
                     type="button"
@@ -168,7 +261,7 @@ const SettingsPanel = memo(function SettingsPanel({
             <div className="form-label">
               Choose Color
               <div className="color-picker">
-                {colors.map((color) => (
+                {COLORS.map((color) => (
                   <button
                     key={color}
                     type="button"
@@ -201,35 +294,112 @@ const SettingsPanel = memo(function SettingsPanel({
         </div>
       )}
 
+      {/* Parent PIN and gate methods */}
+      <ParentLockSettings parentLock={parentLock} allowHold={allowHoldGate} />
+
+      {/* Child Profiles */}
+      {features.profiles && (
+        <ProfileSettings
+          profiles={profiles}
+          activeProfile={activeProfile}
+          onSelectProfile={onSelectProfile}
+          onAddProfile={onAddProfile}
+          onUpdateProfile={onUpdateProfile}
+          onRemoveProfile={onRemoveProfile}
+        />
+      )}
+
+      {/* Screen Time */}
+      {features.screenTime && (
+        <ScreenTimeSettings
+          settings={settings}
+          secondsWatchedToday={secondsWatchedToday}
+          onUpdateSettings={onUpdateSettings}
+          onResetScreenTime={onResetScreenTime}
+        />
+      )}
+
+      {/* Player volume cap */}
+      <VolumeSettings maxVolume={settings.maxVolume} onUpdateSettings={onUpdateSettings} />
+
+      {/* Allowed Hours */}
+      {features.schedule && (
+        <ScheduleSettings schedule={settings.schedule} onUpdateSettings={onUpdateSettings} />
+      )}
+
+      {/* Watch Report */}
+      {features.watchReport && (
+        <WatchReport profile={activeProfile} history={history} onClearHistory={onClearHistory} />
+      )}
+
+      {/* Collections */}
+      <CollectionSettings
+        videos={videos}
+        collections={collections}
+        onAddCollection={onAddCollection}
+        onRemoveCollection={onRemoveCollection}
+        onUpdateCollection={onUpdateCollection}
+        onAssignCollection={onAssignCollection}
+        defaultEndBehavior={settings.endBehavior}
+        onUpdateSettings={onUpdateSettings}
+      />
+
       {/* Video List */}
-      <div className="video-list">
-        <h2 className="list-title">Video Library ({videos.length} videos)</h2>
-        {videos.map((video) => (
-          <div
-            key={video.id}
-            className="video-item"
-            style={{ '--item-color': video.color }}
-          >
-            <img
-              src={`https://img.youtube.com/vi/${video.id}/default.jpg`}
-              alt={video.title}
-              className="item-thumbnail"
-            />
-            <div className="item-info">
-              <span className="item-emoji">{video.emoji}</span>
-              <span className="item-title">{video.title}</span>
-              <span className="item-id">{video.id}</span>
-            </div>
-            <button
-              className="item-delete-btn"
-              onClick={() => onRemoveVideo(video.id)}
-              aria-label={`Remove ${video.title}`}
-            >
-              🗑️
-            </button>
-          </div>
-        ))}
-      </div>
+      <LibraryList
+        videos={videos}
+        collections={collections}
+        activeProfile={activeProfile}
+        coverUrls={coverUrls}
+        onAssignCollection={onAssignCollection}
+        onUpdateVideo={onUpdateVideo}
+        onSaveCover={onSaveCover}
+        onRemoveCover={onRemoveCover}
+        onMoveVideo={onMoveVideo}
+        onRemoveVideo={onRemoveVideo}
+      />
+
+      {/* Removed videos */}
+      <RecycleBin
+        recycleBin={recycleBin}
+        onRestoreVideo={onRestoreVideo}
+        onEmptyRecycleBin={onEmptyRecycleBin}
+      />
+
+      {/* Rolling back big changes */}
+      <LibrarySnapshots
+        snapshots={snapshots}
+        onRestoreSnapshot={onRestoreSnapshot}
+        onRemoveSnapshot={onRemoveSnapshot}
+      />
+
+      {/* Offline copies */}
+      {features.offlineVideos && (
+        <OfflineVideos
+          videos={videos}
+          offlineVideos={offlineVideos}
+          localFiles={localFiles}
+          localPlayback={settings.localPlayback}
+          onUpdateSettings={onUpdateSettings}
+          downloads={downloads}
+          storageEstimate={storageEstimate}
+          onDownloadFromUrl={onDownloadFromUrl}
+          onSaveFromFile={onSaveFromFile}
+          onCancelDownload={onCancelDownload}
+          onRemoveOfflineVideo={onRemoveOfflineVideo}
+        />
+      )}
+
+      {/* Export / Import */}
+      {features.libraryTransfer && (
+        <LibraryTransfer
+          profile={activeProfile}
+          videos={videos}
+          collections={collections}
+          onImportLibrary={onImportLibrary}
+        />
+      )}
+
+      <StorageRecovery />
 
       {/* Instructions */}
       <div className="settings-info">
@@ -0,0 +1,50 @@
+import React, { memo } from 'react';
+import { ProfileButton } from './VideoGrid';
+
+/**
+ * SleepingScreen Component
+ *
+ * Calm "videos are sleeping" screen shown in place of the grid
+ * outside the parent's allowed hours. Both parent buttons go
+ * through the parental gate: one grants 15 extra minutes, the
+ * other opens settings.
+ */
+const SleepingScreen = memo(function SleepingScreen({
+  profile,
+  onProfileClick,
+  onParentExtend,
+  onSettingsClick
+}) {
+  return (
+    <div className="time-up-container">
+      {/* Profile button - back to "Who's watching?" */}
+      <div className="time-up-profile">
+        <ProfileButton profile={profile} onClick={onProfileClick} />
+      </div>
+
+      <span className="time-up-emoji">😴</span>
+      <h1 className="time-up-title">The videos are sleeping</h1>
+      <p className="time-up-text">They'll wake up again later. Sweet dreams!</p>
+
+      {/* Parent buttons - hidden in corner, require parental gate */}
+      <div className="time-up-parent-buttons">
+        <button
+          className="settings-button"
+          onClick={onParentExtend}
+          aria-label="Parent: add 15 minutes"
+        >
+          ⏰
+        </button>
+        <button
+          className="settings-button"
+          onClick={onSettingsClick}
+          aria-label="Parent Settings"
+        >
+          ⚙️
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default SleepingScreen;
@@ -0,0 +1,64 @@
+import React, { useState, useCallback, memo } from 'react';
+import { listCorruptCopies, removeCorruptCopy } from '../utils/storage';
+import { downloadFile } from '../utils/download';
+
+/**
+ * StorageRecovery Component
+ *
+ * Settings section listing saved data that was damaged and reset on load.
+ * The damaged copy is kept so a parent can download it (e.g. to rescue a
+ * hand-curated library) before discarding it. Hidden when there is none.
+ */
+const StorageRecovery = memo(function StorageRecovery() {
+  const [copies, setCopies] = useState(listCorruptCopies);
+
+  // Handle saving a copy as a file
+  const handleDownload = useCallback((copy) => {
+    const safeKey = copy.key.replace(/[^\w-]+/g, '-');
+    downloadFile(`damaged-${safeKey}-${copy.savedAt}.json`, copy.raw, 'application/json');
+  }, []);
+
+  // Handle discarding a copy
+  const handleDiscard = useCallback((id) => {
+    removeCorruptCopy(id);
+    setCopies(listCorruptCopies());
+  }, []);
+
+  if (copies.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">🩹 Damaged Saved Data</h2>
+
+      <p className="setting-summary">
+        Some saved data couldn&apos;t be read and was reset or repaired. A copy of the
+        original was kept in case you need it.
+      </p>
+
+      {copies.map((copy) => (
+        <div key={copy.id} className="video-item">
+          <div className="item-info">
+            <span className="item-title">{copy.key}</span>
+            <span className="item-id">
+              {new Date(copy.savedAt).toLocaleString()} · {copy.problems.join('; ')}
+            </span>
+          </div>
+          <button className="action-btn reset-btn" onClick={() => handleDownload(copy)}>
+            📄 Download
+          </button>
+          <button
+            className="item-delete-btn"
+            onClick={() => handleDiscard(copy.id)}
+            aria-label={`Discard damaged copy of ${copy.key}`}
+          >
+            🗑️
+          </button>
+        </div>
+      ))}
+    </section>
+  );
+});
+
+export default StorageRecovery;
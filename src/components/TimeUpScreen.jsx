@@ -0,0 +1,35 @@
+import React, { memo } from 'react';
+import { ProfileButton } from './VideoGrid';
+
+/**
+ * TimeUpScreen Component
+ *
+ * Full-screen "all done for today" message shown once the daily
+ * screen-time budget is used up. Only a parent can dismiss it,
+ * through the parental gate.
+ */
+const TimeUpScreen = memo(function TimeUpScreen({ profile, onParentUnlock, onProfileClick }) {
+  return (
+    <div className="time-up-container">
+      {/* Profile button - lets a sibling with time left take over */}
+      <div className="time-up-profile">
+        <ProfileButton profile={profile} onClick={onProfileClick} />
+      </div>
+
+      <span className="time-up-emoji">🌙</span>
+      <h1 className="time-up-title">All done for today!</h1>
+      <p className="time-up-text">Great watching! See you tomorrow.</p>
+
+      {/* Parent unlock - hidden in corner, requires parental gate */}
+      <button
+        className="settings-button time-up-parent-button"
+        onClick={onParentUnlock}
+        aria-label="Parent Unlock"
+      >
+        🔒
+      </button>
+    </div>
+  );
+});
+
+export default TimeUpScreen;
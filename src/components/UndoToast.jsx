@@ -0,0 +1,34 @@
+import React, { useEffect, memo } from 'react';
+
+// How long the toast stays up
+const UNDO_TOAST_MS = 8000;
+
+/**
+ * UndoToast Component
+ *
+ * Small bar at the bottom of the settings panel describing the last
+ * library change, with a button to undo it. Goes away by itself after a
+ * few seconds (onDismiss); the change can then still be rolled back from
+ * the recycle bin or a snapshot.
+ */
+const UndoToast = memo(function UndoToast({ message, onUndo, onDismiss }) {
+  // Dismiss after a while
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [onDismiss]);
+
+  return (
+    <div className="undo-toast" role="status">
+      <span className="undo-toast-message">{message}</span>
+      <button className="undo-toast-btn" onClick={onUndo}>
+        ↩️ Undo
+      </button>
+      <button className="undo-toast-close" onClick={onDismiss} aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+});
+
+export default UndoToast;
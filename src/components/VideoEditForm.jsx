@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef, memo } from 'react';
+import CoverDrawingPad from './CoverDrawingPad';
+import { EMOJIS, COLORS } from '../utils/palettes';
+import { getThumbnailUrl } from '../utils/thumbnails';
+import { imageFileToCover } from '../utils/coverImages';
+
+/**
+ * VideoEditForm Component
+ *
+ * Overlay form for changing a library entry's title, emoji, color and
+ * cover picture without removing and re-adding the video. The cover is a
+ * photo from the device or a drawing (see CoverDrawingPad); onSave gets
+ * the new cover as { blob, source }, null to remove it, or undefined when
+ * it wasn't changed.
+ */
+const VideoEditForm = memo(function VideoEditForm({ video, coverUrl, onSave, onCancel }) {
+  const [title, setTitle] = useState(video.title);
+  const [emoji, setEmoji] = useState(video.emoji);
+  const [color, setColor] = useState(video.color);
+  const [cover, setCover] = useState(undefined);
+  const [isDrawing, setIsDrawing] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  // Preview of a new cover that isn't saved yet
+  const newCoverUrl = useMemo(() => (cover ? URL.createObjectURL(cover.blob) : null), [cover]);
+  useEffect(() => {
+    return () => {
+      if (newCoverUrl) {
+        URL.revokeObjectURL(newCoverUrl);
+      }
+    };
+  }, [newCoverUrl]);
+
+  const previewUrl = (cover === undefined ? coverUrl : newCoverUrl) || getThumbnailUrl(video.id);
+  const hasCover = cover === undefined ? Boolean(coverUrl) : cover !== null;
+
+  // Keep a custom emoji or color that isn't in the pickers selectable
+  const emojiOptions = EMOJIS.includes(video.emoji) ? EMOJIS : [video.emoji, ...EMOJIS];
+  const colorOptions = COLORS.includes(video.color) ? COLORS : [video.color, ...COLORS];
+
+  // Handle saving the changes
+  const handleSubmit = useCallback(
+    (e) => {
+      e.preventDefault();
+
+      if (!title.trim()) {
+        setError('Please enter a title');
+        return;
+      }
+
+      onSave({ title: title.trim(), emoji, color }, cover);
+    },
+    [title, emoji, color, cover, onSave]
+  );
+
+  // Handle a photo picked on the device
+  const handleFileChange = useCallback(async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    setError('');
+    try {
+      setCover({ blob: await imageFileToCover(file), source: 'photo' });
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  // Handle a finished drawing
+  const handleSaveDrawing = useCallback((blob) => {
+    setCover({ blob, source: 'drawing' });
+    setIsDrawing(false);
+  }, []);
+
+  if (isDrawing) {
+    return <CoverDrawingPad onSave={handleSaveDrawing} onCancel={() => setIsDrawing(false)} />;
+  }
+
+  return (
+    <div className="add-form-overlay">
+      <form className="add-form video-edit-form" onSubmit={handleSubmit}>
+        <h3 className="form-title">Edit Video</h3>
+
+        <label className="form-label">
+          Video Title (for child to see)
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => {
+              setTitle(e.target.value);
+              setError('');
+            }}
+            className="form-input"
+            maxLength={30}
+            autoFocus
+          />
+        </label>
+
+        <div className="form-label">
+          Choose Emoji
+          <div className="emoji-picker">
+            {emojiOptions.map((option) => (
+              <button
+                key={option}
+                type="button"
+                className={`emoji-btn ${emoji === option ? 'selected' : ''}`}
+                onClick={() => setEmoji(option)}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="form-label">
+          Choose Color
+          <div className="color-picker">
+            {colorOptions.map((option) => (
+              <button
+                key={option}
+                type="button"
+                className={`color-btn ${color === option ? 'selected' : ''}`}
+                style={{ backgroundColor: option }}
+                onClick={() => setColor(option)}
+                aria-label={`Color ${option}`}
+              />
+            ))}
+          </div>
+        </div>
+
+        <div className="form-label">
+          Cover Picture
+          <img
+            src={previewUrl}
+            alt={`Cover of ${title}`}
+            className="cover-preview"
+            style={{ backgroundColor: color }}
+            onError={(e) => {
+              // No thumbnail without internet - show just the card color
+              e.target.style.visibility = 'hidden';
+            }}
+            onLoad={(e) => {
+              e.target.style.visibility = '';
+            }}
+          />
+          <div className="settings-actions">
+            <button
+              type="button"
+              className="action-btn reset-btn"
+              onClick={() => fileInputRef.current.click()}
+            >
+              📷 Choose Photo
+            </button>
+            <button
+              type="button"
+              className="action-btn reset-btn"
+              onClick={() => setIsDrawing(true)}
+            >
+              🖍️ Draw
+            </button>
+            {hasCover && (
+              <button
+                type="button"
+                className="action-btn reset-btn"
+                onClick={() => setCover(null)}
+              >
+                🖼️ Use Video Thumbnail
+              </button>
+            )}
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            onChange={handleFileChange}
+            hidden
+          />
+        </div>
+
+        {error && <p className="form-error">{error}</p>}
+
+        <div className="form-buttons">
+          <button type="button" className="form-cancel-btn" onClick={onCancel}>
+            Cancel
+          </button>
+          <button type="submit" className="form-submit-btn">
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+});
+
+export default VideoEditForm;
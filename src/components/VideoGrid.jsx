@@ -1,4 +1,6 @@
-import React, { memo } from 'react';
+import React, { useMemo, memo } from 'react';
+import { groupVideos, UNGROUPED_ID } from '../utils/collections';
+import { getThumbnailUrl } from '../utils/thumbnails';
 
 /**
  * VideoGrid Component
@@ -6,55 +8,213 @@ import React, { memo } from 'react';
  * Displays a scrollable grid of large, colorful video thumbnails.
  * Each thumbnail shows the video's emoji icon and title.
  * Designed for easy tapping by young children.
+ *
+ * When the parent has grouped videos into collections (series), the grid
+ * first shows one big tile per collection, then the episodes inside the
+ * opened one. Libraries without collections stay a single flat grid.
+ * Cards of half-watched videos show a progress bar.
+ *
+ * A cover picture set by a parent comes first; otherwise bundled videos
+ * show their poster frame instead of the YouTube thumbnail, so they look
+ * right without internet.
+ *
+ * Without internet, videos that have no copy on the device are greyed out
+ * with a "needs internet" badge and can't be opened.
  */
-const VideoGrid = memo(function VideoGrid({ videos, onVideoSelect, onSettingsClick }) {
+const VideoGrid = memo(function VideoGrid({
+  videos,
+  collections,
+  openCollectionId,
+  positions,
+  isOffline,
+  localCopyIds,
+  localFiles,
+  coverUrls,
+  profile,
+  onVideoSelect,
+  onCollectionOpen,
+  onProfileClick,
+  onSettingsClick
+}) {
+  const groups = useMemo(() => groupVideos(videos, collections), [videos, collections]);
+  const hasCollections = groups.some((group) => group.collection.id !== UNGROUPED_ID);
+  const openGroup = hasCollections
+    ? groups.find((group) => group.collection.id === openCollectionId)
+    : null;
+
+  // Videos to show as cards (all of them without collections)
+  const visibleVideos = openGroup ? openGroup.videos : videos;
+
+  const needsInternet = (video) => isOffline && !localCopyIds.has(video.id);
+
   return (
     <div className="video-grid-container">
       {/* Header */}
       <header className="grid-header">
-        <h1 className="grid-title">
-          <span className="title-emoji">🎬</span>
-          My Videos
-        </h1>
-        {/* Settings button - hidden in corner, requires parental gate */}
-        <button
-          className="settings-button"
-          onClick={onSettingsClick}
-          aria-label="Parent Settings"
-        >
-          ⚙️
-        </button>
+        {openGroup ? (
+          <button
+            className="collection-back-button"
+            onClick={() => onCollectionOpen(null)}
+            aria-label="Back to all collections"
+            style={{ '--card-color': openGroup.collection.color }}
+          >
+            <span className="back-arrow">←</span>
+            <span className="title-emoji">{openGroup.collection.emoji}</span>
+            <span className="collection-back-title">{openGroup.collection.title}</span>
+          </button>
+        ) : (
+          <h1 className="grid-title">
+            <span className="title-emoji">🎬</span>
+            My Videos
+          </h1>
+        )}
+        <div className="header-buttons">
+          {/* Profile button - back to "Who's watching?" */}
+          <ProfileButton profile={profile} onClick={onProfileClick} />
+          {/* Settings button - hidden in corner, requires parental gate */}
+          <button
+            className="settings-button"
+            onClick={onSettingsClick}
+            aria-label="Parent Settings"
+          >
+            ⚙️
+          </button>
+        </div>
       </header>
 
-      {/* Video Grid */}
-      <div className="video-grid">
-        {videos.map((video) => (
-          <VideoCard
-            key={video.id}
-            video={video}
-            onSelect={() => onVideoSelect(video)}
-          />
-        ))}
-      </div>
+      {/* Offline notice */}
+      {isOffline && (
+        <div className="offline-banner" role="status">
+          <span className="offline-banner-emoji">✈️</span>
+          No internet - the bright videos still work!
+        </div>
+      )}
+
+      {/* Collection Tiles */}
+      {hasCollections && !openGroup ? (
+        <div className="video-grid">
+          {groups.map(({ collection, videos: groupVideoList }) => (
+            <CollectionCard
+              key={collection.id}
+              collection={collection}
+              videoCount={groupVideoList.length}
+              needsInternet={groupVideoList.every(needsInternet)}
+              onOpen={() => onCollectionOpen(collection.id)}
+            />
+          ))}
+        </div>
+      ) : (
+        /* Video Grid */
+        <div className="video-grid">
+          {visibleVideos.map((video) => (
+            <VideoCard
+              key={video.id}
+              video={video}
+              savedPosition={positions[video.id]}
+              coverUrl={coverUrls[video.id]}
+              posterUrl={localFiles[video.id]?.posterUrl}
+              needsInternet={needsInternet(video)}
+              onSelect={() => onVideoSelect(video)}
+            />
+          ))}
+        </div>
+      )}
     </div>
   );
 });
 
+/**
+ * CollectionCard Component
+ *
+ * Big cover tile for a collection (series) with its emoji, color and
+ * number of videos.
+ */
+const CollectionCard = memo(function CollectionCard({
+  collection,
+  videoCount,
+  needsInternet,
+  onOpen
+}) {
+  return (
+    <button
+      className={`video-card collection-card ${needsInternet ? 'needs-internet' : ''}`}
+      onClick={onOpen}
+      disabled={needsInternet}
+      style={{ '--card-color': collection.color }}
+      aria-label={needsInternet ? `${collection.title} needs internet` : `Open ${collection.title}`}
+    >
+      <div className="thumbnail-container collection-cover">
+        <span className="collection-emoji">{collection.emoji}</span>
+        <span className="collection-count">{videoCount}</span>
+        {needsInternet && <NeedsInternetBadge />}
+      </div>
+
+      <div className="video-info">
+        <span className="video-title">{collection.title}</span>
+      </div>
+    </button>
+  );
+});
+
+/**
+ * ProfileButton Component
+ *
+ * Shows the current child's avatar; tapping it returns to the profile picker.
+ * Hidden without onClick (profiles turned off in config.json).
+ */
+export const ProfileButton = memo(function ProfileButton({ profile, onClick }) {
+  if (!onClick) {
+    return null;
+  }
+  return (
+    <button
+      className="profile-button"
+      onClick={onClick}
+      aria-label={`Watching as ${profile.name}. Change profile`}
+    >
+      {profile.avatar}
+    </button>
+  );
+});
+
+/**
+ * NeedsInternetBadge Component
+ *
+ * Badge on cards that can't play without internet.
+ */
+function NeedsInternetBadge() {
+  return (
+    <span className="needs-internet-badge">
+      <span className="needs-internet-emoji">☁️</span> Needs internet
+    </span>
+  );
+}
+
 /**
  * VideoCard Component
  *
- * Individual video thumbnail card with emoji, title, and YouTube thumbnail.
+ * Individual video thumbnail card with emoji, title, and thumbnail
+ * (the parent's cover picture, else the poster frame or thumbnail bundled
+ * with the app when there is one, else YouTube's).
  */
-const VideoCard = memo(function VideoCard({ video, onSelect }) {
-  // YouTube thumbnail URL (maxresdefault for best quality)
-  const thumbnailUrl = `https://img.youtube.com/vi/${video.id}/mqdefault.jpg`;
+const VideoCard = memo(function VideoCard({
+  video,
+  savedPosition,
+  coverUrl,
+  posterUrl,
+  needsInternet,
+  onSelect
+}) {
+  // Custom cover, else the bundled poster frame, else the bundled or YouTube thumbnail
+  const thumbnailUrl = coverUrl || posterUrl || getThumbnailUrl(video.id);
 
   return (
     <button
-      className="video-card"
+      className={`video-card ${needsInternet ? 'needs-internet' : ''}`}
       onClick={onSelect}
+      disabled={needsInternet}
       style={{ '--card-color': video.color }}
-      aria-label={`Play ${video.title}`}
+      aria-label={needsInternet ? `${video.title} needs internet` : `Play ${video.title}`}
     >
       {/* Thumbnail Image */}
       <div className="thumbnail-container">
@@ -68,10 +228,23 @@ const VideoCard = memo(function VideoCard({ video, onSelect }) {
             e.target.style.display = 'none';
           }}
         />
+        {/* Resume progress bar */}
+        {savedPosition && (
+          <div className="card-progress">
+            <div
+              className="card-progress-fill"
+              style={{ width: `${(savedPosition.position / savedPosition.duration) * 100}%` }}
+            />
+          </div>
+        )}
         {/* Play overlay */}
-        <div className="play-overlay">
-          <span className="play-icon">▶</span>
-        </div>
+        {needsInternet ? (
+          <NeedsInternetBadge />
+        ) : (
+          <div className="play-overlay">
+            <span className="play-icon">▶</span>
+          </div>
+        )}
       </div>
 
       {/* Video Info */}
@@ -1,5 +1,9 @@
 import React, { useState, useCallback, useRef, useEffect, memo } from 'react';
+import { flushSync } from 'react-dom';
 import YouTube from 'react-youtube';
+import PlayerControls from './PlayerControls';
+import { getOfflineVideo } from '../utils/offlineVideos';
+import { youtubePlayerApi, videoElementApi } from '../utils/playerApi';
 
 /**
  * VideoPlayer Component
@@ -8,19 +12,88 @@ import YouTube from 'react-youtube';
  * - No related videos (rel=0)
  * - Modest branding (modestbranding=1)
  * - No annotations (iv_load_policy=3)
- * - Controlled playback
- * - Overlay to block YouTube logo clicks
+ * - YouTube's own controls hidden (controls=0); large controls of our
+ *   own drive both YouTube and local files (see PlayerControls), with an
+ *   optional volume cap set by the parent (maxVolume)
+ * - A shield over the video so no tap reaches the YouTube player
  * - Large back button for easy navigation
+ * - Reports play/pause to the parent so screen time only counts while playing
+ * - Finishes the current video and stops when the allowed hours end (stopAtEnd)
+ * - At the end, replays, moves on to the next video after a countdown card,
+ *   or returns to the grid, as chosen by the parent (endAction)
+ * - Remembers where the child left off and resumes from there next time
+ * - Logs each viewing session (time actually played, finished or not),
+ *   also when the app is hidden or closed mid-video
+ * - Plays the copy saved on the device (hasOfflineCopy) instead of YouTube,
+ *   and the file bundled with the app (localFile) first or as a fallback
  *
  * YouTube Player Parameters Reference:
  * https://developers.google.com/youtube/player_parameters
  */
-const VideoPlayer = memo(function VideoPlayer({ video, onBack }) {
+// Seconds the "up next" card counts down before the next video starts
+const NEXT_UP_SECONDS = 5;
+
+// How often the playback position is saved while the player is open
+const SAVE_POSITION_INTERVAL = 5000;
+
+// Sources to try in order, moving on when one fails:
+// 'offline' (stored on the device), 'local' (bundled file), 'youtube'
+function getPlaybackSources(hasOfflineCopy, localFile, preferLocalFile) {
+  const sources = hasOfflineCopy ? ['offline'] : [];
+  if (localFile && preferLocalFile) {
+    sources.push('local');
+  }
+  sources.push('youtube');
+  if (localFile && !preferLocalFile) {
+    sources.push('local');
+  }
+  return sources;
+}
+
+const VideoPlayer = memo(function VideoPlayer({
+  video,
+  endAction,
+  nextVideo,
+  resumePosition,
+  onPlayNext,
+  onSavePosition,
+  onRecordWatch,
+  onBack,
+  onPlaybackChange,
+  isWindingDown,
+  stopAtEnd,
+  hasOfflineCopy,
+  localFile,
+  preferLocalFile,
+  maxVolume
+}) {
   const [isLoading, setIsLoading] = useState(true);
   const [hasError, setHasError] = useState(false);
-  const [useLocalVideo, setUseLocalVideo] = useState(false);
+  // Sources are chosen once, when the player opens
+  const [sources] = useState(() => getPlaybackSources(hasOfflineCopy, localFile, preferLocalFile));
+  const [sourceIndex, setSourceIndex] = useState(0);
+  // Object URL of the stored copy, once loaded
+  const [offlineUrl, setOfflineUrl] = useState(null);
+  const [nextUpCountdown, setNextUpCountdown] = useState(null);
+  // Controls adapter for the current source (see utils/playerApi), once ready
+  const [controlsApi, setControlsApi] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
   const playerRef = useRef(null);
   const videoRef = useRef(null);
+  // Resume point is read once, when the player opens
+  const resumePositionRef = useRef(resumePosition || 0);
+  // Positions are only saved once playback has really started
+  const hasStartedRef = useRef(false);
+  // Viewing session for the watch history
+  const sessionRef = useRef({
+    startedAt: Date.now(),
+    secondsWatched: 0,
+    finished: false,
+    playingSince: null
+  });
+  // Latest history callback, for the unmount cleanup and page hide
+  const onRecordWatchRef = useRef(onRecordWatch);
+  onRecordWatchRef.current = onRecordWatch;
 
   /**
    * YouTube Player Configuration
@@ -28,7 +101,7 @@ const VideoPlayer = memo(function VideoPlayer({ video, onBack }) {
    * These parameters create a "walled garden" experience:
    * - rel: 0 - Don't show related videos from other channels
    * - modestbranding: 1 - Minimal YouTube branding
-   * - controls: 1 - Show playback controls (including slider)
+   * - controls: 0 - Hide YouTube's controls (PlayerControls replaces them)
    * - disablekb: 1 - Disable keyboard controls (prevents shortcuts)
    * - fs: 0 - Disable fullscreen button (we're already fullscreen)
    * - iv_load_policy: 3 - Hide video annotations
@@ -43,7 +116,7 @@ const VideoPlayer = memo(function VideoPlayer({ video, onBack }) {
     playerVars: {
       rel: 0,
       modestbranding: 1,
-      controls: 1, // Show controls to enable slider
+      controls: 0, // Our own controls drive the IFrame API
       disablekb: 1,
       fs: 0,
       iv_load_policy: 3,
@@ -61,65 +134,207 @@ const VideoPlayer = memo(function VideoPlayer({ video, onBack }) {
   // Handle player ready
   const handleReady = useCallback((event) => {
     playerRef.current = event.target;
+    setControlsApi(youtubePlayerApi(event.target));
     setIsLoading(false);
+    // Resume where the child left off
+    if (resumePositionRef.current > 0) {
+      event.target.seekTo(resumePositionRef.current, true);
+    }
     // Start playing
     event.target.playVideo();
   }, []);
 
-  // Get local video path
-  const getLocalVideoPath = useCallback(() => {
-    // Sanitize filename (same as download script)
-    const safeTitle = video.title
-      .replace(/[<>:"/\\|?*]/g, '')
-      .replace(/\s+/g, ' ')
-      .trim();
-    // Use the base path from vite.config.js
-    return `/sandboxView/videos/${safeTitle}.mp4`;
-  }, [video.title]);
-
-  // Handle player error - try local video fallback
+  // Save the current position so playback can resume later
+  const savePosition = useCallback(() => {
+    if (!hasStartedRef.current) {
+      return;
+    }
+    try {
+      if (videoRef.current) {
+        onSavePosition(video.id, videoRef.current.currentTime, videoRef.current.duration);
+      } else if (playerRef.current) {
+        onSavePosition(
+          video.id,
+          playerRef.current.getCurrentTime(),
+          playerRef.current.getDuration()
+        );
+      }
+    } catch {
+      // Player already torn down - the last periodic save stands
+    }
+  }, [video.id, onSavePosition]);
+
+  // Handle back - remember the position first
+  const handleBack = useCallback(() => {
+    savePosition();
+    onBack();
+  }, [savePosition, onBack]);
+
+  // Track playing time for the session and tell the parent
+  const reportPlaying = useCallback((isPlaying) => {
+    const session = sessionRef.current;
+    if (isPlaying) {
+      hasStartedRef.current = true;
+      session.playingSince = session.playingSince || Date.now();
+    } else if (session.playingSince) {
+      session.secondsWatched += (Date.now() - session.playingSince) / 1000;
+      session.playingSince = null;
+    }
+    setIsPlaying(isPlaying);
+    onPlaybackChange(isPlaying);
+  }, [onPlaybackChange]);
+
+  // Handle YouTube state changes - only the PLAYING state counts as watching
+  const handleStateChange = useCallback((event) => {
+    reportPlaying(event.data === YouTube.PlayerState.PLAYING);
+  }, [reportPlaying]);
+
+  const source = sources[sourceIndex];
+  const localVideoSrc =
+    source === 'offline' ? offlineUrl : source === 'local' ? localFile.url : null;
+
+  // Move on to the next source, or show the error when none is left
+  const tryNextSource = useCallback(() => {
+    setControlsApi(null);
+    if (sourceIndex + 1 < sources.length) {
+      console.log(`Trying ${sources[sourceIndex + 1]} video...`);
+      setSourceIndex(sourceIndex + 1);
+      setIsLoading(true);
+      setHasError(false);
+    } else {
+      setHasError(true);
+      setIsLoading(false);
+    }
+  }, [sourceIndex, sources]);
+
+  // Handle player error - try the next source
   const handleError = useCallback((event) => {
     console.error('YouTube Player Error:', event.data);
-    console.log('Attempting to load local video...');
-    setUseLocalVideo(true);
-    setIsLoading(true);
-    setHasError(false);
-  }, []);
+    tryNextSource();
+  }, [tryNextSource]);
 
-  // Handle video end - return to grid or replay
-  const handleEnd = useCallback(() => {
+  // Decide what happens after a video ends. Returns true when the video
+  // should replay, false when the player moves on.
+  const finishVideo = useCallback(() => {
+    sessionRef.current.finished = true;
+    // A finished video starts over next time
+    savePosition();
+    // Allowed hours are over - let this video finish, then stop
+    if (stopAtEnd || endAction === 'grid') {
+      onBack();
+      return false;
+    }
+    if (endAction === 'next') {
+      setNextUpCountdown(NEXT_UP_SECONDS);
+      return false;
+    }
     // Replay the video automatically (great for kids who love repetition)
-    if (playerRef.current) {
+    return true;
+  }, [savePosition, stopAtEnd, endAction, onBack]);
+
+  // Handle video end - replay, play next, or return to grid
+  const handleEnd = useCallback(() => {
+    if (finishVideo() && playerRef.current) {
       playerRef.current.seekTo(0);
       playerRef.current.playVideo();
     }
-  }, []);
+  }, [finishVideo]);
 
   // Handle local video ready
   const handleLocalVideoReady = useCallback(() => {
     setIsLoading(false);
     if (videoRef.current) {
+      setControlsApi(videoElementApi(videoRef.current));
+      // Resume where the child left off
+      if (resumePositionRef.current > 0) {
+        videoRef.current.currentTime = resumePositionRef.current;
+      }
       videoRef.current.play().catch(err => {
+        // Autoplay blocked - the play button on the controls starts it
+        if (err.name === 'NotAllowedError') {
+          return;
+        }
         console.error('Error playing local video:', err);
         setHasError(true);
       });
     }
   }, []);
 
-  // Handle local video error
+  // Handle local video error - try the next source
   const handleLocalVideoError = useCallback(() => {
     console.error('Local video failed to load');
-    setHasError(true);
-    setIsLoading(false);
-  }, []);
+    tryNextSource();
+  }, [tryNextSource]);
+
+  // Handle local video playing/paused
+  const handleLocalVideoPlaying = useCallback(() => {
+    reportPlaying(true);
+  }, [reportPlaying]);
+
+  const handleLocalVideoStopped = useCallback(() => {
+    reportPlaying(false);
+  }, [reportPlaying]);
 
   // Handle local video end
   const handleLocalVideoEnd = useCallback(() => {
-    if (videoRef.current) {
+    reportPlaying(false);
+    if (finishVideo() && videoRef.current) {
       videoRef.current.currentTime = 0;
       videoRef.current.play();
     }
-  }, []);
+  }, [reportPlaying, finishVideo]);
+
+  // Load the copy saved on this device
+  useEffect(() => {
+    if (source !== 'offline') {
+      return undefined;
+    }
+    let isCancelled = false;
+    let url = null;
+    getOfflineVideo(video.id)
+      .then((record) => {
+        if (isCancelled) {
+          return;
+        }
+        if (!record) {
+          throw new Error('Stored copy was deleted');
+        }
+        url = URL.createObjectURL(record.blob);
+        setOfflineUrl(url);
+      })
+      .catch((err) => {
+        console.error('Could not load stored copy:', err);
+        if (!isCancelled) {
+          tryNextSource();
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+    };
+  }, [source, video.id, tryNextSource]);
+
+  // Count down on the "up next" card, then start the next video
+  useEffect(() => {
+    if (nextUpCountdown === null) {
+      return undefined;
+    }
+    if (nextUpCountdown <= 0) {
+      onPlayNext(nextVideo);
+      return undefined;
+    }
+    const timeout = setTimeout(() => setNextUpCountdown((prev) => prev - 1), 1000);
+    return () => clearTimeout(timeout);
+  }, [nextUpCountdown, nextVideo, onPlayNext]);
+
+  // Save the position periodically while the player is open
+  useEffect(() => {
+    const interval = setInterval(savePosition, SAVE_POSITION_INTERVAL);
+    return () => clearInterval(interval);
+  }, [savePosition]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -133,6 +348,50 @@ const VideoPlayer = memo(function VideoPlayer({ video, onBack }) {
     };
   }, []);
 
+  // Log the viewing session so far. The history keeps one entry per
+  // session (see useWatchHistory), so a later save replaces this one.
+  const recordSession = useCallback(() => {
+    const { startedAt, secondsWatched, finished, playingSince } = sessionRef.current;
+    const playingSeconds = playingSince ? (Date.now() - playingSince) / 1000 : 0;
+    const totalSeconds = secondsWatched + playingSeconds;
+    if (totalSeconds >= 1) {
+      onRecordWatchRef.current({
+        videoId: video.id,
+        title: video.title,
+        emoji: video.emoji,
+        startedAt,
+        secondsWatched: Math.round(totalSeconds),
+        finished
+      });
+    }
+  }, [video]);
+
+  // The app may be closed, reloaded or killed while hidden without the
+  // player ever unmounting - log the session before that can happen.
+  // flushSync saves it right away, before the page is frozen.
+  useEffect(() => {
+    const handleHide = () => {
+      if (document.visibilityState === 'hidden') {
+        flushSync(recordSession);
+      }
+    };
+    const handlePageHide = () => flushSync(recordSession);
+    document.addEventListener('visibilitychange', handleHide);
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      document.removeEventListener('visibilitychange', handleHide);
+      window.removeEventListener('pagehide', handlePageHide);
+    };
+  }, [recordSession]);
+
+  // Playback stops when the player closes - log the viewing session
+  useEffect(() => {
+    return () => {
+      reportPlaying(false);
+      recordSession();
+    };
+  }, [reportPlaying, recordSession]);
+
   // Prevent accidental touches from pausing
   const handleContainerClick = useCallback((e) => {
     // Only allow clicks on the back button
@@ -150,7 +409,7 @@ const VideoPlayer = memo(function VideoPlayer({ video, onBack }) {
       {/* Large Back Button */}
       <button
         className="back-button"
-        onClick={onBack}
+        onClick={handleBack}
         aria-label="Go back to video list"
       >
         <span className="back-arrow">←</span>
@@ -163,6 +422,28 @@ const VideoPlayer = memo(function VideoPlayer({ video, onBack }) {
         <span className="player-video-title">{video.title}</span>
       </div>
 
+      {/* Wind-down warning when the daily budget is nearly used up */}
+      {isWindingDown && (
+        <div className="wind-down-overlay" role="status">
+          <span className="wind-down-emoji">⏰</span>
+          <span className="wind-down-text">Almost done! Just a little more watching today.</span>
+        </div>
+      )}
+
+      {/* Up Next card - countdown before the next video */}
+      {nextUpCountdown !== null && nextVideo && (
+        <div className="next-up-overlay">
+          <div className="next-up-card" style={{ '--card-color': nextVideo.color }}>
+            <span className="next-up-label">Up next</span>
+            <span className="next-up-emoji">{nextVideo.emoji}</span>
+            <span className="next-up-title">{nextVideo.title}</span>
+            <button className="next-up-play" onClick={() => onPlayNext(nextVideo)}>
+              ▶ {nextUpCountdown}
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Loading State */}
       {isLoading && (
         <div className="player-loading">
@@ -184,40 +465,40 @@ const VideoPlayer = memo(function VideoPlayer({ video, onBack }) {
 
       {/* Video Player */}
       <div className="player-wrapper">
-        {!useLocalVideo ? (
-          <>
-            {/* YouTube Player */}
-            <YouTube
-              videoId={video.id}
-              opts={playerOpts}
-              onReady={handleReady}
-              onError={handleError}
-              onEnd={handleEnd}
-              className="youtube-player"
-              iframeClassName="youtube-iframe"
-            />
-
-            {/* Overlays to block YouTube logo and other clickable elements */}
-            {/* Note: Center-bottom area is left open for the play slider */}
-            <div className="player-overlay-top" />
-            <div className="player-overlay-bottom-left" />
-            <div className="player-overlay-bottom-right" />
-            <div className="player-overlay-left" />
-            <div className="player-overlay-right" />
-          </>
-        ) : (
+        {source === 'youtube' ? (
+          /* YouTube Player */
+          <YouTube
+            videoId={video.id}
+            opts={playerOpts}
+            onReady={handleReady}
+            onError={handleError}
+            onEnd={handleEnd}
+            onStateChange={handleStateChange}
+            className="youtube-player"
+            iframeClassName="youtube-iframe"
+          />
+        ) : localVideoSrc && (
           /* Local HTML5 Video Player */
           <video
             ref={videoRef}
             className="local-video-player"
-            src={getLocalVideoPath()}
-            controls
+            src={localVideoSrc}
+            poster={localFile?.posterUrl || undefined}
+            playsInline
             onLoadedData={handleLocalVideoReady}
             onError={handleLocalVideoError}
             onEnded={handleLocalVideoEnd}
+            onPlaying={handleLocalVideoPlaying}
+            onPause={handleLocalVideoStopped}
+            onWaiting={handleLocalVideoStopped}
             style={{ width: '100%', height: '100%', backgroundColor: '#000' }}
           />
         )}
+
+        {/* Our own controls, the same for YouTube and local files */}
+        {!hasError && (
+          <PlayerControls player={controlsApi} isPlaying={isPlaying} maxVolume={maxVolume} />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,37 @@
+import React, { memo } from 'react';
+
+/**
+ * VolumeSettings Component
+ *
+ * Settings section for the player's volume cap. The volume slider in the
+ * player never goes above it (browsers on iOS ignore volume changes from
+ * the page, so there the device buttons still decide).
+ */
+
+// Volume cap choices in percent (100 = no cap)
+const VOLUME_OPTIONS = [100, 80, 60, 40, 25];
+
+const VolumeSettings = memo(function VolumeSettings({ maxVolume, onUpdateSettings }) {
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">🔊 Volume</h2>
+
+      <label className="setting-row">
+        <span className="setting-label">Volume limit</span>
+        <select
+          className="setting-select"
+          value={maxVolume}
+          onChange={(e) => onUpdateSettings({ maxVolume: Number(e.target.value) })}
+        >
+          {VOLUME_OPTIONS.map((percent) => (
+            <option key={percent} value={percent}>
+              {percent === 100 ? 'No limit' : `${percent}%`}
+            </option>
+          ))}
+        </select>
+      </label>
+    </section>
+  );
+});
+
+export default VolumeSettings;
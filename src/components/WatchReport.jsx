@@ -0,0 +1,155 @@
+import React, { useMemo, useCallback, memo } from 'react';
+import {
+  summarizeHistory,
+  historyToCsv,
+  weeklyTotalsToCsv,
+  HISTORY_RETENTION_DAYS
+} from '../utils/history';
+import { formatMinutes, getTodayKey } from '../utils/dates';
+import { downloadFile } from '../utils/download';
+
+/**
+ * WatchReport Component
+ *
+ * Settings section summarizing the selected profile's watch history:
+ * totals for today, this calendar week and the last 7 days, per-day and
+ * per-week breakdowns and the most-watched videos. The history never
+ * leaves the device; the CSV exports (every session, or weekly totals)
+ * are written locally by the browser.
+ */
+const WatchReport = memo(function WatchReport({ profile, history, onClearHistory }) {
+  const summary = useMemo(() => summarizeHistory(history), [history]);
+  const busiestDay = Math.max(...summary.days.map((day) => day.seconds), 1);
+  const busiestWeek = Math.max(...summary.weeks.map((week) => week.seconds), 1);
+
+  // Handle CSV export of every session
+  const handleExport = useCallback(() => {
+    const safeName = profile.name.replace(/[^\w-]+/g, '-');
+    const filename = `watch-history-${safeName}-${getTodayKey()}.csv`;
+    downloadFile(filename, historyToCsv(history), 'text/csv');
+  }, [profile.name, history]);
+
+  // Handle CSV export of the weekly totals
+  const handleExportWeekly = useCallback(() => {
+    const safeName = profile.name.replace(/[^\w-]+/g, '-');
+    const filename = `watch-weekly-${safeName}-${getTodayKey()}.csv`;
+    downloadFile(filename, weeklyTotalsToCsv(history), 'text/csv');
+  }, [profile.name, history]);
+
+  return (
+    <section className="settings-section">
+      <h2 className="list-title">📊 Watch Report</h2>
+
+      {/* Totals */}
+      <div className="report-totals">
+        <div className="report-total">
+          <span className="report-total-value">{formatMinutes(summary.todaySeconds)}</span>
+          <span className="report-total-label">Today</span>
+        </div>
+        <div className="report-total">
+          <span className="report-total-value">{formatMinutes(summary.thisWeekSeconds)}</span>
+          <span className="report-total-label">This week</span>
+        </div>
+        <div className="report-total">
+          <span className="report-total-value">{formatMinutes(summary.last7DaysSeconds)}</span>
+          <span className="report-total-label">Last 7 days</span>
+        </div>
+      </div>
+
+      {/* Per-day breakdown */}
+      <h3 className="report-heading">Per day</h3>
+      <div className="report-days">
+        {summary.days.map((day) => (
+          <div key={day.date} className="report-day">
+            <span className="report-day-label">
+              {new Date(`${day.date}T00:00`).toLocaleDateString(undefined, {
+                weekday: 'short',
+                day: 'numeric'
+              })}
+            </span>
+            <div className="report-bar">
+              <div
+                className="report-bar-fill"
+                style={{ width: `${(day.seconds / busiestDay) * 100}%` }}
+              />
+            </div>
+            <span className="report-day-value">
+              {formatMinutes(day.seconds)} · {day.plays} {day.plays === 1 ? 'video' : 'videos'}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {/* Per-week breakdown (calendar weeks, Monday to Sunday) */}
+      <h3 className="report-heading">Per week</h3>
+      <div className="report-days">
+        {summary.weeks.map((week) => (
+          <div key={week.weekStart} className="report-day">
+            <span className="report-day-label">
+              {new Date(`${week.weekStart}T00:00`).toLocaleDateString(undefined, {
+                month: 'short',
+                day: 'numeric'
+              })}
+            </span>
+            <div className="report-bar">
+              <div
+                className="report-bar-fill"
+                style={{ width: `${(week.seconds / busiestWeek) * 100}%` }}
+              />
+            </div>
+            <span className="report-day-value">
+              {formatMinutes(week.seconds)} · {week.plays} {week.plays === 1 ? 'video' : 'videos'}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {/* Most watched */}
+      <h3 className="report-heading">Most watched in the last 7 days</h3>
+      {summary.topVideos.length === 0 ? (
+        <p className="setting-summary">Nothing watched yet.</p>
+      ) : (
+        <ol className="report-top">
+          {summary.topVideos.map((video) => (
+            <li key={video.videoId}>
+              <span className="item-emoji">{video.emoji}</span> {video.title}
+              <span className="report-top-detail">
+                {formatMinutes(video.seconds)} · {video.plays}×
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <p className="setting-summary">
+        History stays on this device and keeps the last {HISTORY_RETENTION_DAYS} days.
+      </p>
+
+      <div className="settings-actions">
+        <button
+          className="action-btn add-btn"
+          onClick={handleExport}
+          disabled={history.length === 0}
+        >
+          📄 Export CSV
+        </button>
+        <button
+          className="action-btn add-btn"
+          onClick={handleExportWeekly}
+          disabled={history.length === 0}
+        >
+          📅 Export Weekly Totals
+        </button>
+        <button
+          className="action-btn reset-btn"
+          onClick={onClearHistory}
+          disabled={history.length === 0}
+        >
+          🧹 Clear History
+        </button>
+      </div>
+    </section>
+  );
+});
+
+export default WatchReport;
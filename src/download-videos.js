@@ -1,126 +1,619 @@
 #!/usr/bin/env node
 
-const { execSync, spawn } = require('child_process');
+/**
+ * Video downloader CLI
+ *
+ * Downloads library videos into public/videos as <id>.<ext> and keeps
+ * public/videos/manifest.json up to date for the player.
+ *
+ *   npm run download-videos -- --help
+ *
+ * The actual download is done by an external command (yt-dlp by default,
+ * or --downloader / $VIDEO_DOWNLOADER). It is run as:
+ *
+ *   <downloader> -f <format> -o <dir>/<id>.%(ext)s --no-playlist --continue
+ *     --newline --print-to-file after_move:<json template> <info file>
+ *     [--max-filesize <size>] https://www.youtube.com/watch?v=<id>
+ *
+ * and should exit 0 after writing <dir>/<id>.<ext>. Writing
+ * {"filepath": ..., "duration": ...} to the info file is optional. Any
+ * command following that contract can be plugged in, e.g.
+ * scripts/fake-yt-dlp.js, which `npm test` uses to check this script.
+ *
+ * With --transcode and/or --posters, each file is then processed with
+ * ffmpeg (see video-postprocess.js); the manifest records the poster and
+ * whether the file was transcoded, so reruns only do what is missing.
+ */
+
+const { execFileSync, spawn } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { parseArgs } = require('util');
+const { checkFfmpeg, transcodeVideo, extractPoster } = require('./video-postprocess');
+
+// Defaults
+const DEFAULT_LIBRARY = path.join(__dirname, 'data', 'videos.json');
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'public', 'videos');
+const DEFAULT_DOWNLOADER = process.env.VIDEO_DOWNLOADER || 'yt-dlp';
+const DEFAULT_COUNT = 6; // Without --ids/--range/--all, the first few videos
+const DEFAULT_FFMPEG = process.env.FFMPEG || 'ffmpeg';
+const DEFAULT_TRANSCODE_HEIGHT = 480; // Plenty for a tablet, ~4x smaller than 1080p
+const DEFAULT_VIDEO_BITRATE = 1000; // kbit/s cap, about 450 MB per hour
+
+// Manifest read by the player: which video IDs have a local file
+//   { version, generatedAt,
+//     videos: { [id]: { file, size, duration, title, poster?, transcoded? } } }
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+const VIDEO_ID = /^[\w-]{11}$/;
+// Extensions of finished video files; anything else next to them (the
+// <id>.jpg poster, .part/.ytdl/.temp leftovers) is not a download
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mkv', 'mov', 'm4v', '3gp'];
+const ERROR_TAIL_LENGTH = 300; // Characters of downloader output kept for errors
+
+const HELP = `Usage: npm run download-videos -- [options]
+
+Select videos (default: the first ${DEFAULT_COUNT}):
+  --all                  Every video in the library
+  --ids <id,id,...>      Only these video IDs
+  --range <from-to>      Videos by position, 1-based and inclusive (e.g. 1-10, 7-)
+
+Options:
+  --library <file>       videos.json, videos-full.json or an exported library
+                         (default: src/data/videos.json)
+  --output <dir>         Where videos and manifest.json go (default: public/videos)
+  --concurrency <n>      Downloads at the same time (default: 1)
+  --max-height <px>      Highest resolution to download, e.g. 720
+  --max-size <size>      Skip files bigger than this, e.g. 200M or 1.5G
+  --force                Download again even if the file already exists
+  --dry-run              Show what would be downloaded without downloading
+  --json                 Print a JSON summary on stdout (progress goes to stderr)
+  --downloader <cmd>     Download command (default: $VIDEO_DOWNLOADER or yt-dlp)
+  -h, --help             Show this help
+
+After downloading (needs ffmpeg):
+  --transcode            Re-encode to H.264/AAC MP4 with normalized loudness
+  --transcode-height <px>  Height cap when transcoding (default: ${DEFAULT_TRANSCODE_HEIGHT})
+  --video-bitrate <kbps> Video bitrate cap when transcoding (default: ${DEFAULT_VIDEO_BITRATE})
+  --posters              Save a poster frame (<id>.jpg) for the grid and player
+  --ffmpeg <cmd>         ffmpeg command (default: $FFMPEG or ffmpeg)
 
-// Load video data from videos.json and take first 6
-const allVideos = require('./data/videos.json');
-const videos = allVideos.slice(0, 6);
+Partial downloads are resumed: rerunning after an interruption continues
+where it stopped, and finished videos are skipped.`;
 
-// Configuration
-const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'videos');
-const FORMAT = 'best[ext=mp4]/best'; // Prefer mp4, fallback to best available
+// Parse and check the command line. Throws an Error with a readable message.
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      all: { type: 'boolean', default: false },
+      ids: { type: 'string' },
+      range: { type: 'string' },
+      library: { type: 'string', default: DEFAULT_LIBRARY },
+      output: { type: 'string', default: DEFAULT_OUTPUT_DIR },
+      concurrency: { type: 'string', default: '1' },
+      'max-height': { type: 'string' },
+      'max-size': { type: 'string' },
+      force: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      downloader: { type: 'string', default: DEFAULT_DOWNLOADER },
+      transcode: { type: 'boolean', default: false },
+      'transcode-height': { type: 'string', default: String(DEFAULT_TRANSCODE_HEIGHT) },
+      'video-bitrate': { type: 'string', default: String(DEFAULT_VIDEO_BITRATE) },
+      posters: { type: 'boolean', default: false },
+      ffmpeg: { type: 'string', default: DEFAULT_FFMPEG },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const selectors = [values.all, values.ids, values.range].filter(Boolean);
+  if (selectors.length > 1) {
+    throw new Error('Use only one of --all, --ids and --range.');
+  }
+
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('--concurrency must be a whole number of 1 or more.');
+  }
+
+  let maxHeight = null;
+  if (values['max-height'] !== undefined) {
+    maxHeight = Number(values['max-height']);
+    if (!Number.isInteger(maxHeight) || maxHeight < 1) {
+      throw new Error('--max-height must be a number of pixels, e.g. 720.');
+    }
+  }
 
-// Ensure output directory exists
-if (!fs.existsSync(OUTPUT_DIR)) {
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-  console.log(`📁 Created output directory: ${OUTPUT_DIR}`);
+  const transcodeHeight = Number(values['transcode-height']);
+  const videoBitrate = Number(values['video-bitrate']);
+  if (!Number.isInteger(transcodeHeight) || transcodeHeight < 1) {
+    throw new Error('--transcode-height must be a number of pixels, e.g. 480.');
+  }
+  if (!Number.isInteger(videoBitrate) || videoBitrate < 1) {
+    throw new Error('--video-bitrate must be a number of kbit/s, e.g. 1000.');
+  }
+
+  const maxSize = values['max-size'];
+  if (maxSize !== undefined && !/^\d+(\.\d+)?[KMG]?$/i.test(maxSize)) {
+    throw new Error('--max-size must look like 500K, 200M or 1.5G.');
+  }
+
+  return {
+    help: values.help,
+    all: values.all,
+    ids: values.ids ? values.ids.split(',').map((id) => id.trim()).filter(Boolean) : null,
+    range: values.range ? parseRange(values.range) : null,
+    library: path.resolve(values.library),
+    outputDir: path.resolve(values.output),
+    concurrency,
+    maxHeight,
+    maxSize: maxSize || null,
+    force: values.force,
+    dryRun: values['dry-run'],
+    json: values.json,
+    downloader: values.downloader,
+    transcode: values.transcode,
+    transcodeHeight,
+    videoBitrate,
+    posters: values.posters,
+    ffmpeg: values.ffmpeg
+  };
+}
+
+// "3-10" -> { from: 3, to: 10 }; "7-" -> { from: 7, to: Infinity }; "4" -> { from: 4, to: 4 }
+function parseRange(text) {
+  const match = /^(\d+)(?:-(\d*))?$/.exec(text.trim());
+  if (!match) {
+    throw new Error('--range must look like 1-10, 7- or 4.');
+  }
+  const from = Number(match[1]);
+  const to = match[2] === undefined ? from : match[2] === '' ? Infinity : Number(match[2]);
+  if (from < 1 || to < from) {
+    throw new Error('--range must start at 1 or more and not end before it starts.');
+  }
+  return { from, to };
 }
 
-// Check if yt-dlp is installed
-function checkYtDlp() {
+// Videos from a library file: a plain array or an exported library
+function loadLibrary(file) {
+  let data;
   try {
-    execSync('yt-dlp --version', { stdio: 'pipe' });
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read library ${file}: ${err.message}`);
+  }
+  const videos = Array.isArray(data) ? data : data && data.videos;
+  if (!Array.isArray(videos)) {
+    throw new Error(`${file} is not a video library.`);
+  }
+  return videos.filter((video) => video && typeof video.id === 'string' && VIDEO_ID.test(video.id));
+}
+
+// The videos chosen on the command line, in library order
+function selectVideos(videos, options) {
+  if (options.all) {
+    return videos;
+  }
+  if (options.ids) {
+    const missing = options.ids.filter((id) => !videos.some((video) => video.id === id));
+    if (missing.length > 0) {
+      throw new Error(`Not in the library: ${missing.join(', ')}`);
+    }
+    return videos.filter((video) => options.ids.includes(video.id));
+  }
+  const { from, to } = options.range || { from: 1, to: DEFAULT_COUNT };
+  return videos.slice(from - 1, to);
+}
+
+// yt-dlp format: prefer mp4, fall back to best available, within the height limit
+function formatSelector(maxHeight) {
+  const limit = maxHeight ? `[height<=${maxHeight}]` : '';
+  return `best[ext=mp4]${limit}/best${limit}`;
+}
+
+// Check that the download command can run
+function checkDownloader(command) {
+  try {
+    execFileSync(command, ['--version'], { stdio: 'pipe' });
     return true;
   } catch {
     return false;
   }
 }
 
-// Download a single video
-function downloadVideo(video, index) {
-  return new Promise((resolve, reject) => {
+// Load the existing manifest, dropping entries whose file is gone
+function loadManifest(outputDir) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+    const entries = Object.entries(manifest.videos || {}).filter(([, entry]) =>
+      fs.existsSync(path.join(outputDir, entry.file))
+    );
+    return Object.fromEntries(entries);
+  } catch {
+    return {};
+  }
+}
+
+// Write the manifest next to the videos
+function saveManifest(outputDir, entries) {
+  const manifest = {
+    version: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    videos: entries
+  };
+  fs.writeFileSync(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+// Manifest entry for a downloaded file
+function manifestEntry(outputDir, video, file, duration) {
+  return {
+    file,
+    size: fs.statSync(path.join(outputDir, file)).size,
+    duration: Number.isFinite(duration) ? duration : null,
+    title: video.title
+  };
+}
+
+// Finished file for a video ID (not a partial download), or null
+function findVideoFile(outputDir, videoId) {
+  if (!fs.existsSync(outputDir)) {
+    return null;
+  }
+  const names = fs.readdirSync(outputDir);
+  const file = VIDEO_EXTENSIONS.map((ext) => `${videoId}.${ext}`).find((name) =>
+    names.includes(name)
+  );
+  return file || null;
+}
+
+// Poster saved for a video on an earlier run, or null
+function findPosterFile(outputDir, videoId) {
+  const file = `${videoId}.jpg`;
+  return fs.existsSync(path.join(outputDir, file)) ? file : null;
+}
+
+// Older versions of this script named files after the title; rename such a
+// file to the video ID instead of downloading it again
+function adoptTitleNamedFile(outputDir, video) {
+  const safeTitle = String(video.title || '')
+    .replace(/[<>:"/\\|?*]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const oldPath = path.join(outputDir, `${safeTitle}.mp4`);
+  if (!safeTitle || !fs.existsSync(oldPath)) {
+    return null;
+  }
+  const file = `${video.id}.mp4`;
+  fs.renameSync(oldPath, path.join(outputDir, file));
+  return file;
+}
+
+// Download a single video into <id>.<ext>
+function downloadVideo(video, options, log) {
+  return new Promise((resolve) => {
     const url = `https://www.youtube.com/watch?v=${video.id}`;
-    
-    // Sanitize filename (remove special characters)
-    const safeTitle = video.title
-      .replace(/[<>:"/\\|?*]/g, '')
-      .replace(/\s+/g, ' ')
-      .trim();
-    
-    const outputTemplate = path.join(OUTPUT_DIR, `${safeTitle}.%(ext)s`);
-    
-    console.log(`\n${video.emoji} [${index + 1}/${videos.length}] Downloading: ${video.title}`);
-    console.log(`   URL: ${url}`);
-    
+    const outputTemplate = path.join(options.outputDir, `${video.id}.%(ext)s`);
+    // The downloader writes the final file path and duration here once done
+    const infoPath = path.join(os.tmpdir(), `kids-video-${video.id}-${Date.now()}.json`);
+
     const args = [
-      '-f', FORMAT,
+      '-f', formatSelector(options.maxHeight),
       '-o', outputTemplate,
       '--no-playlist',
-      '--progress',
+      '--continue',
       '--newline',
-      url
+      '--print-to-file', 'after_move:%(.{filepath,duration})j', infoPath
     ];
-    
-    const process = spawn('yt-dlp', args, { stdio: 'inherit' });
-    
-    process.on('close', (code) => {
-      if (code === 0) {
-        console.log(`   ✅ Successfully downloaded: ${video.title}`);
-        resolve({ success: true, video });
-      } else {
-        console.error(`   ❌ Failed to download: ${video.title} (exit code: ${code})`);
-        resolve({ success: false, video, error: `Exit code: ${code}` });
+    if (options.maxSize) {
+      args.push('--max-filesize', options.maxSize);
+    }
+    args.push(url);
+
+    // Progress is only shown when downloads don't overlap
+    const showProgress = options.concurrency === 1 && !options.json;
+    const child = spawn(options.downloader, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let outputTail = '';
+    const collect = (chunk) => {
+      if (showProgress) {
+        process.stderr.write(chunk);
       }
+      outputTail = (outputTail + chunk).slice(-ERROR_TAIL_LENGTH);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    child.on('close', (code) => {
+      let info = {};
+      try {
+        info = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+        fs.unlinkSync(infoPath);
+      } catch {
+        // Nothing printed - e.g. the file was already complete
+      }
+
+      if (code !== 0) {
+        log(`   ❌ Failed to download: ${video.title} (exit code: ${code})`);
+        resolve({ status: 'failed', error: lastLine(outputTail) || `Exit code: ${code}` });
+        return;
+      }
+
+      const file = info.filepath
+        ? path.basename(info.filepath)
+        : findVideoFile(options.outputDir, video.id);
+      if (!file || !fs.existsSync(path.join(options.outputDir, file))) {
+        const error = options.maxSize
+          ? `No file written (larger than ${options.maxSize}?)`
+          : 'Downloaded file not found';
+        log(`   ❌ ${video.title}: ${error}`);
+        resolve({ status: 'failed', error });
+        return;
+      }
+
+      log(`   ✅ Successfully downloaded: ${video.title}`);
+      resolve({
+        status: 'downloaded',
+        entry: manifestEntry(options.outputDir, video, file, info.duration)
+      });
     });
-    
-    process.on('error', (err) => {
-      console.error(`   ❌ Error downloading ${video.title}: ${err.message}`);
-      resolve({ success: false, video, error: err.message });
+
+    child.on('error', (err) => {
+      log(`   ❌ Error downloading ${video.title}: ${err.message}`);
+      resolve({ status: 'failed', error: err.message });
     });
   });
 }
 
+// Last non-empty line of downloader output
+function lastLine(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  return lines[lines.length - 1] || '';
+}
+
+// Run `worker` over `items` with at most `limit` at a time, keeping order
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+// Transcode and/or extract a poster, as far as not done on an earlier run.
+// Returns the updated manifest entry; throws when an ffmpeg step fails.
+async function postProcess(video, entry, options, log) {
+  const updated = { ...entry };
+
+  if (options.transcode && !updated.transcoded) {
+    log('   🎞️  Transcoding (H.264/AAC, normalized loudness)...');
+    const file = await transcodeVideo(options.ffmpeg, options.outputDir, video.id, updated.file, {
+      maxHeight: options.transcodeHeight,
+      videoBitrate: options.videoBitrate
+    });
+    const before = updated.size;
+    Object.assign(updated, manifestEntry(options.outputDir, video, file, updated.duration), {
+      poster: updated.poster,
+      transcoded: true
+    });
+    log(`   ✅ Transcoded: ${formatMegabytes(before)} → ${formatMegabytes(updated.size)}`);
+  }
+
+  const hasPoster = updated.poster && fs.existsSync(path.join(options.outputDir, updated.poster));
+  if (options.posters && !hasPoster) {
+    updated.poster = await extractPoster(
+      options.ffmpeg,
+      options.outputDir,
+      video.id,
+      updated.file,
+      updated.duration
+    );
+    log(`   🖼️  Poster saved: ${updated.poster}`);
+  }
+
+  return updated;
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Process one video: download (or skip, adopt an old file, plan for a dry
+// run), then run the ffmpeg steps
+async function processVideo(video, index, total, manifest, options, log) {
+  const result = await fetchVideo(video, index, total, manifest, options, log);
+  if (!result.entry || options.dryRun || (!options.transcode && !options.posters)) {
+    return result;
+  }
+  try {
+    return { ...result, entry: await postProcess(video, result.entry, options, log) };
+  } catch (err) {
+    log(`   ❌ ffmpeg failed for ${video.title}: ${err.message}`);
+    // The downloaded file itself is still fine - keep it in the manifest
+    return { ...result, status: 'failed', error: `ffmpeg: ${err.message}` };
+  }
+}
+
+// Download a video unless it is already there (or only plan it, for a dry run)
+async function fetchVideo(video, index, total, manifest, options, log) {
+  const label = `${video.emoji || '🎬'} [${index + 1}/${total}] ${video.title}`;
+  const previous = manifest[video.id];
+  const existingFile = previous ? previous.file : findVideoFile(options.outputDir, video.id);
+
+  if (existingFile && !options.force) {
+    log(`\n${label}\n   ⏭️  Already downloaded: ${existingFile}`);
+    // Without a manifest (deleted, or written elsewhere), rebuild the entry
+    // and keep a poster from an earlier run so it isn't extracted again
+    const entry = previous || {
+      ...manifestEntry(options.outputDir, video, existingFile, null),
+      poster: findPosterFile(options.outputDir, video.id) || undefined
+    };
+    return { status: 'skipped', entry };
+  }
+
+  if (options.dryRun) {
+    const steps = [options.transcode && 'transcode', options.posters && 'extract a poster']
+      .filter(Boolean)
+      .join(' and ');
+    log(`\n${label}\n   📝 Would download https://www.youtube.com/watch?v=${video.id}`);
+    if (steps) {
+      log(`   📝 Would ${steps}`);
+    }
+    return { status: 'planned' };
+  }
+
+  const adoptedFile = options.force ? null : adoptTitleNamedFile(options.outputDir, video);
+  if (adoptedFile) {
+    log(`\n${label}\n   🔁 Renamed existing file to ${adoptedFile}`);
+    return { status: 'skipped', entry: manifestEntry(options.outputDir, video, adoptedFile, null) };
+  }
+
+  log(`\n${label}\n   ⬇️  Downloading https://www.youtube.com/watch?v=${video.id}`);
+  const result = await downloadVideo(video, options, log);
+  if (result.entry && result.entry.duration === null && previous) {
+    // The downloader doesn't report the duration for files it skipped
+    result.entry.duration = previous.duration;
+  }
+  return result;
+}
+
 // Main function
 async function main() {
-  console.log('🎬 YouTube Video Downloader');
-  console.log('===========================\n');
-  
-  // Check for yt-dlp
-  if (!checkYtDlp()) {
-    console.error('❌ yt-dlp is not installed!');
-    console.log('\nTo install on WSL2/Ubuntu:');
-    console.log('  sudo apt update');
-    console.log('  sudo apt install yt-dlp');
-    console.log('\nOr using pip:');
-    console.log('  pip install yt-dlp');
-    console.log('\nOr download directly:');
-    console.log('  sudo curl -L https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp -o /usr/local/bin/yt-dlp');
-    console.log('  sudo chmod a+rx /usr/local/bin/yt-dlp');
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${HELP}`);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log(HELP);
+    return;
+  }
+
+  // Human-readable progress; kept off stdout when it carries the JSON summary
+  const log = options.json ? (...args) => console.error(...args) : (...args) => console.log(...args);
+
+  log('🎬 YouTube Video Downloader');
+  log('===========================\n');
+
+  let selected;
+  try {
+    selected = selectVideos(loadLibrary(options.library), options);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(2);
+  }
+
+  if (!options.dryRun && !checkDownloader(options.downloader)) {
+    console.error(`❌ ${options.downloader} is not installed!`);
+    console.error('\nTo install on WSL2/Ubuntu:');
+    console.error('  sudo apt update');
+    console.error('  sudo apt install yt-dlp');
+    console.error('\nOr using pip:');
+    console.error('  pip install yt-dlp');
+    console.error('\nOr download directly:');
+    console.error('  sudo curl -L https://github.com/yt-dlp/yt-dlp/releases/latest/download/yt-dlp -o /usr/local/bin/yt-dlp');
+    console.error('  sudo chmod a+rx /usr/local/bin/yt-dlp');
     process.exit(1);
   }
-  
-  console.log(`📋 Found ${videos.length} videos to download`);
-  console.log(`📂 Output directory: ${path.resolve(OUTPUT_DIR)}\n`);
-  
-  const results = [];
-  
-  // Download videos sequentially
-  for (let i = 0; i < videos.length; i++) {
-    const result = await downloadVideo(videos[i], i);
-    results.push(result);
-  }
-  
+
+  if (!options.dryRun && (options.transcode || options.posters) && !checkFfmpeg(options.ffmpeg)) {
+    console.error(`❌ ${options.ffmpeg} is not installed! --transcode and --posters need ffmpeg.`);
+    console.error('\nTo install on WSL2/Ubuntu:');
+    console.error('  sudo apt install ffmpeg');
+    process.exit(1);
+  }
+
+  if (!options.dryRun && !fs.existsSync(options.outputDir)) {
+    fs.mkdirSync(options.outputDir, { recursive: true });
+    log(`📁 Created output directory: ${options.outputDir}`);
+  }
+
+  log(`📚 Library: ${options.library}`);
+  log(`📋 Selected ${selected.length} videos${options.dryRun ? ' (dry run)' : ''}`);
+  log(`📂 Output directory: ${options.outputDir}`);
+
+  const manifest = fs.existsSync(options.outputDir) ? loadManifest(options.outputDir) : {};
+
+  const results = await runPool(selected, options.concurrency, async (video, index) => {
+    const result = await processVideo(video, index, selected.length, manifest, options, log);
+    // Update the manifest as each video lands, so an interrupted run keeps its progress
+    if (result.entry) {
+      manifest[video.id] = result.entry;
+      if (!options.dryRun) {
+        saveManifest(options.outputDir, manifest);
+      }
+    }
+    return { id: video.id, title: video.title, ...result };
+  });
+
   // Summary
-  console.log('\n===========================');
-  console.log('📊 Download Summary');
-  console.log('===========================');
-  
-  const successful = results.filter(r => r.success);
-  const failed = results.filter(r => !r.success);
-  
-  console.log(`✅ Successful: ${successful.length}`);
-  console.log(`❌ Failed: ${failed.length}`);
-  
+  const count = (status) => results.filter((r) => r.status === status).length;
+  const summary = {
+    library: options.library,
+    outputDir: options.outputDir,
+    dryRun: options.dryRun,
+    counts: {
+      selected: results.length,
+      downloaded: count('downloaded'),
+      skipped: count('skipped'),
+      planned: count('planned'),
+      failed: count('failed')
+    },
+    videos: results.map(({ id, title, status, entry, error }) => ({
+      id,
+      title,
+      status,
+      ...(entry && {
+        file: entry.file,
+        size: entry.size,
+        duration: entry.duration,
+        poster: entry.poster || null,
+        transcoded: Boolean(entry.transcoded)
+      }),
+      ...(error && { error })
+    }))
+  };
+
+  log('\n===========================');
+  log('📊 Download Summary');
+  log('===========================');
+  log(`✅ Downloaded: ${summary.counts.downloaded}`);
+  log(`⏭️  Already there: ${summary.counts.skipped}`);
+  if (options.dryRun) {
+    log(`📝 Would download: ${summary.counts.planned}`);
+  }
+  log(`❌ Failed: ${summary.counts.failed}`);
+
+  const failed = results.filter((r) => r.status === 'failed');
   if (failed.length > 0) {
-    console.log('\nFailed downloads:');
-    failed.forEach(f => {
-      console.log(`  - ${f.video.title}: ${f.error}`);
+    log('\nFailed downloads:');
+    failed.forEach((f) => {
+      log(`  - ${f.title}: ${f.error}`);
     });
   }
-  
-  console.log(`\n📂 Videos saved to: ${path.resolve(OUTPUT_DIR)}`);
+
+  if (!options.dryRun) {
+    log(`\n📂 Videos saved to: ${options.outputDir}`);
+    log(`📝 Manifest: ${path.join(options.outputDir, MANIFEST_FILE)} (${Object.keys(manifest).length} videos)`);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
+  }
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
 }
 
-main().catch(console.error);
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
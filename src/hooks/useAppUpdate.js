@@ -0,0 +1,49 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+
+/**
+ * useAppUpdate Hook
+ *
+ * Registers the service worker (honoring the app's base path) in
+ * "prompt" mode: a new version is downloaded in the background but only
+ * takes over when a parent applies it, so a deploy never swaps the UI
+ * under a child. Checks for a new version every hour while the app is open.
+ */
+
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+function useAppUpdate() {
+  const registrationRef = useRef(null);
+
+  const {
+    needRefresh: [isUpdateReady],
+    updateServiceWorker
+  } = useRegisterSW({
+    onRegisteredSW(swUrl, registration) {
+      registrationRef.current = registration || null;
+    },
+    onRegisterError(error) {
+      // Service worker registration failed, app still works
+      console.warn('Service worker registration failed:', error);
+    }
+  });
+
+  // Look for a new version now and then (installed apps can stay open for days)
+  useEffect(() => {
+    const interval = setInterval(() => {
+      if (registrationRef.current && navigator.onLine) {
+        registrationRef.current.update().catch(() => {});
+      }
+    }, UPDATE_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Switch to the waiting version (reloads the page)
+  const applyUpdate = useCallback(() => {
+    updateServiceWorker(true);
+  }, [updateServiceWorker]);
+
+  return { isUpdateReady, applyUpdate };
+}
+
+export default useAppUpdate;
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { listCoverImages, saveCoverImage, deleteCoverImage } from '../utils/coverImages';
+
+/**
+ * useCoverImages Hook
+ *
+ * Custom cover pictures set by a parent (see utils/coverImages), as
+ * object URLs ready for <img src>: { [videoId]: url }. Covers are shared
+ * by all profiles.
+ */
+function useCoverImages() {
+  const [coverUrls, setCoverUrls] = useState({});
+  // Object URLs created so far, revoked when replaced or on unmount
+  const urlsRef = useRef({});
+
+  // Show a video's cover, or go back to its usual thumbnail (blob = null)
+  const setCover = useCallback((videoId, blob) => {
+    const previous = urlsRef.current[videoId];
+    if (previous) {
+      URL.revokeObjectURL(previous);
+    }
+    if (blob) {
+      urlsRef.current[videoId] = URL.createObjectURL(blob);
+    } else {
+      delete urlsRef.current[videoId];
+    }
+    setCoverUrls({ ...urlsRef.current });
+  }, []);
+
+  // Load the stored covers
+  useEffect(() => {
+    listCoverImages()
+      .then((records) => records.forEach((record) => setCover(record.videoId, record.blob)))
+      .catch((err) => console.warn('Could not read cover pictures:', err));
+  }, [setCover]);
+
+  useEffect(() => {
+    const urls = urlsRef.current;
+    return () => Object.values(urls).forEach((url) => URL.revokeObjectURL(url));
+  }, []);
+
+  // Store a new cover for a video. Rejects with a readable error.
+  const saveCover = useCallback(
+    async (videoId, blob, source) => {
+      await saveCoverImage(videoId, blob, source);
+      setCover(videoId, blob);
+    },
+    [setCover]
+  );
+
+  // Delete a video's cover
+  const removeCover = useCallback(
+    async (videoId) => {
+      await deleteCoverImage(videoId);
+      setCover(videoId, null);
+    },
+    [setCover]
+  );
+
+  return { coverUrls, saveCover, removeCover };
+}
+
+export default useCoverImages;
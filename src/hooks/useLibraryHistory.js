@@ -0,0 +1,64 @@
+import { useCallback } from 'react';
+import useProfileStorage from './useProfileStorage';
+import { addToRecycleBin, createSnapshot, addSnapshot } from '../utils/libraryHistory';
+import { RECYCLE_BIN_STORE, LIBRARY_SNAPSHOTS_STORE } from '../utils/stores';
+
+/**
+ * useLibraryHistory Hook
+ *
+ * The recycle bin of removed videos and the snapshots of the library taken
+ * before big changes (per profile, see utils/libraryHistory).
+ */
+
+function useLibraryHistory(profileId) {
+  const [recycleBin, setRecycleBin] = useProfileStorage(RECYCLE_BIN_STORE, profileId);
+  const [snapshots, setSnapshots] = useProfileStorage(LIBRARY_SNAPSHOTS_STORE, profileId);
+
+  // Keep removed videos in the recycle bin
+  const recycleVideos = useCallback(
+    (videos) => {
+      setRecycleBin((prev) => addToRecycleBin(prev, videos));
+    },
+    [setRecycleBin]
+  );
+
+  // Take videos out of the recycle bin (restored, or removal undone)
+  const unrecycleVideos = useCallback(
+    (videoIds) => {
+      const ids = new Set(videoIds);
+      setRecycleBin((prev) => prev.filter((entry) => !ids.has(entry.video.id)));
+    },
+    [setRecycleBin]
+  );
+
+  const emptyRecycleBin = useCallback(() => {
+    setRecycleBin([]);
+  }, [setRecycleBin]);
+
+  // Save the library as it is now, before a big change
+  const takeSnapshot = useCallback(
+    (label, videos, collections) => {
+      setSnapshots((prev) => addSnapshot(prev, createSnapshot(label, videos, collections)));
+    },
+    [setSnapshots]
+  );
+
+  const removeSnapshot = useCallback(
+    (snapshotId) => {
+      setSnapshots((prev) => prev.filter((snapshot) => snapshot.id !== snapshotId));
+    },
+    [setSnapshots]
+  );
+
+  return {
+    recycleBin,
+    snapshots,
+    recycleVideos,
+    unrecycleVideos,
+    emptyRecycleBin,
+    takeSnapshot,
+    removeSnapshot
+  };
+}
+
+export default useLibraryHistory;
@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  listOfflineVideos,
+  saveOfflineVideo,
+  deleteOfflineVideo,
+  fetchVideoFile,
+  getStorageEstimate
+} from '../utils/offlineVideos';
+
+/**
+ * useOfflineVideos Hook
+ *
+ * Keeps track of which videos have a copy saved in browser storage and
+ * runs the downloads that add them. Stored copies are shared by all
+ * profiles. While a download runs, its progress (0-1, or null when the
+ * size is unknown) is in `downloads` under the video id.
+ */
+function useOfflineVideos() {
+  // { [videoId]: { size, type, source, name, savedAt } }
+  const [offlineVideos, setOfflineVideos] = useState({});
+  const [downloads, setDownloads] = useState({});
+  const [storageEstimate, setStorageEstimate] = useState(null);
+  const controllersRef = useRef({});
+
+  // Reload the stored list and the storage estimate
+  const refresh = useCallback(async () => {
+    try {
+      const records = await listOfflineVideos();
+      setOfflineVideos(Object.fromEntries(records.map((r) => [r.videoId, r])));
+    } catch (err) {
+      console.warn('Could not read offline videos:', err);
+    }
+    try {
+      setStorageEstimate(await getStorageEstimate());
+    } catch (err) {
+      console.warn('Could not read the storage estimate:', err);
+      setStorageEstimate(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Cancel running downloads when the app closes
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => Object.values(controllers).forEach((controller) => controller.abort());
+  }, []);
+
+  const setProgress = useCallback((videoId, progress) => {
+    setDownloads((prev) => {
+      if (progress === undefined) {
+        const { [videoId]: _done, ...rest } = prev;
+        return rest;
+      }
+      return { ...prev, [videoId]: progress };
+    });
+  }, []);
+
+  // Download a video from a direct file URL. Rejects with a readable error.
+  const downloadFromUrl = useCallback(
+    async (videoId, url) => {
+      const controller = new AbortController();
+      controllersRef.current[videoId] = controller;
+      setProgress(videoId, 0);
+      try {
+        const blob = await fetchVideoFile(
+          url,
+          (progress) => setProgress(videoId, progress),
+          controller.signal
+        );
+        await saveOfflineVideo(videoId, blob, { source: 'url', name: url });
+      } finally {
+        delete controllersRef.current[videoId];
+        setProgress(videoId, undefined);
+        refresh();
+      }
+    },
+    [setProgress, refresh]
+  );
+
+  // Store a video file picked on this device
+  const saveFromFile = useCallback(
+    async (videoId, file) => {
+      setProgress(videoId, null);
+      try {
+        await saveOfflineVideo(videoId, file, { source: 'file', name: file.name });
+      } finally {
+        setProgress(videoId, undefined);
+        refresh();
+      }
+    },
+    [setProgress, refresh]
+  );
+
+  // Stop a running download
+  const cancelDownload = useCallback((videoId) => {
+    const controller = controllersRef.current[videoId];
+    if (controller) {
+      controller.abort();
+    }
+  }, []);
+
+  // Delete a stored copy
+  const removeOfflineVideo = useCallback(
+    async (videoId) => {
+      await deleteOfflineVideo(videoId);
+      refresh();
+    },
+    [refresh]
+  );
+
+  return {
+    offlineVideos,
+    downloads,
+    storageEstimate,
+    downloadFromUrl,
+    saveFromFile,
+    cancelDownload,
+    removeOfflineVideo
+  };
+}
+
+export default useOfflineVideos;
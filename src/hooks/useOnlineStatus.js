@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * useOnlineStatus Hook
+ *
+ * Reports whether YouTube can be reached. navigator.onLine and the
+ * online/offline events catch a missing connection right away, but a
+ * tablet can be "online" on a Wi-Fi without internet (car hotspots,
+ * in-flight portals), so a small request to YouTube confirms it. The
+ * probe repeats - more often while offline, so the grid comes back
+ * soon after the connection returns.
+ */
+
+const PROBE_URL = 'https://www.youtube.com/generate_204';
+const PROBE_TIMEOUT = 5000;
+const PROBE_INTERVAL_ONLINE = 2 * 60 * 1000;
+const PROBE_INTERVAL_OFFLINE = 15 * 1000;
+
+// Can YouTube be reached? (no-cors: any answer at all means yes)
+async function probeConnection() {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+  try {
+    await fetch(`${PROBE_URL}?t=${Date.now()}`, {
+      mode: 'no-cors',
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    return true;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function useOnlineStatus() {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+  const isMountedRef = useRef(true);
+
+  // Check the connection now
+  const check = useCallback(async () => {
+    if (navigator.onLine === false) {
+      setIsOnline(false);
+      return;
+    }
+    const isReachable = await probeConnection();
+    if (isMountedRef.current) {
+      setIsOnline(isReachable);
+    }
+  }, []);
+
+  // Check on start and whenever the browser reports a change
+  useEffect(() => {
+    isMountedRef.current = true;
+    const handleOffline = () => setIsOnline(false);
+
+    check();
+    window.addEventListener('online', check);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      isMountedRef.current = false;
+      window.removeEventListener('online', check);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [check]);
+
+  // Keep checking in the background
+  useEffect(() => {
+    const interval = setInterval(check, isOnline ? PROBE_INTERVAL_ONLINE : PROBE_INTERVAL_OFFLINE);
+    return () => clearInterval(interval);
+  }, [check, isOnline]);
+
+  return isOnline;
+}
+
+export default useOnlineStatus;
@@ -0,0 +1,130 @@
+import { useState, useEffect, useCallback } from 'react';
+import { readStore, writeStore } from '../utils/storage';
+import { PARENT_LOCK_STORE, GATE_LOCKOUT_STORE } from '../utils/stores';
+import {
+  DEFAULT_GATE_METHODS,
+  createSecret,
+  verifySecret,
+  normalizeAnswer,
+  getLockoutMs
+} from '../utils/parentLock';
+
+/**
+ * useParentLock Hook
+ *
+ * The parent PIN, its recovery question, which gate methods and challenge
+ * types are enabled, the challenge difficulty and the lockout after failed
+ * attempts. Shared by all profiles and saved so neither the PIN nor a
+ * running lockout is lost on reload.
+ *
+ * `freeAttempts` is how many failures are allowed before the first lockout
+ * (config.json "gate.maxAttempts").
+ */
+function useParentLock(freeAttempts) {
+  const [lock, setLock] = useState(() => readStore(PARENT_LOCK_STORE));
+  const [lockout, setLockout] = useState(() => readStore(GATE_LOCKOUT_STORE));
+
+  // Save changes
+  useEffect(() => {
+    writeStore(PARENT_LOCK_STORE, lock);
+  }, [lock]);
+
+  useEffect(() => {
+    writeStore(GATE_LOCKOUT_STORE, lockout);
+  }, [lockout]);
+
+  // Count a failed gate attempt, locking the gate when there were too many
+  const recordFailure = useCallback(() => {
+    setLockout((prev) => {
+      const failures = prev.failures + 1;
+      const lockoutMs = getLockoutMs(failures, freeAttempts);
+      return { failures, lockedUntil: lockoutMs > 0 ? Date.now() + lockoutMs : 0 };
+    });
+  }, [freeAttempts]);
+
+  // Forget failed attempts after the gate was passed
+  const recordSuccess = useCallback(() => {
+    setLockout({ failures: 0, lockedUntil: 0 });
+  }, []);
+
+  const verifyPin = useCallback(
+    (pin) => (lock.pin ? verifySecret(pin, lock.pin) : Promise.resolve(false)),
+    [lock.pin]
+  );
+
+  const verifyRecoveryAnswer = useCallback(
+    (answer) =>
+      lock.recovery
+        ? verifySecret(normalizeAnswer(answer), lock.recovery)
+        : Promise.resolve(false),
+    [lock.recovery]
+  );
+
+  // Set or change the PIN and recovery question. A first PIN becomes the
+  // only gate method; parents can turn the others back on.
+  const setPin = useCallback(async (pin, question, answer) => {
+    const [pinSecret, answerSecret] = await Promise.all([
+      createSecret(pin),
+      createSecret(normalizeAnswer(answer))
+    ]);
+    setLock((prev) => ({
+      ...prev,
+      pin: pinSecret,
+      recovery: { question: question.trim(), ...answerSecret },
+      methods: prev.pin ? prev.methods : ['pin'],
+      pinPromptDismissed: true
+    }));
+  }, []);
+
+  // Remove the PIN (and its recovery question)
+  const removePin = useCallback(() => {
+    setLock((prev) => {
+      const methods = prev.methods.filter((method) => method !== 'pin');
+      return {
+        ...prev,
+        pin: null,
+        recovery: null,
+        methods: methods.length > 0 ? methods : DEFAULT_GATE_METHODS
+      };
+    });
+  }, []);
+
+  const setMethods = useCallback((methods) => {
+    setLock((prev) => ({ ...prev, methods }));
+  }, []);
+
+  const setChallenges = useCallback((challenges) => {
+    setLock((prev) => ({ ...prev, challenges }));
+  }, []);
+
+  const setDifficulty = useCallback((difficulty) => {
+    setLock((prev) => ({ ...prev, difficulty }));
+  }, []);
+
+  // "Not now" on the first-time PIN prompt
+  const dismissPinPrompt = useCallback(() => {
+    setLock((prev) => ({ ...prev, pinPromptDismissed: true }));
+  }, []);
+
+  return {
+    hasPin: Boolean(lock.pin),
+    recoveryQuestion: lock.recovery ? lock.recovery.question : null,
+    methods: lock.methods,
+    challenges: lock.challenges,
+    difficulty: lock.difficulty,
+    pinPromptDismissed: lock.pinPromptDismissed,
+    lockedUntil: lockout.lockedUntil,
+    recordFailure,
+    recordSuccess,
+    verifyPin,
+    verifyRecoveryAnswer,
+    setPin,
+    removePin,
+    setMethods,
+    setChallenges,
+    setDifficulty,
+    dismissPinPrompt
+  };
+}
+
+export default useParentLock;
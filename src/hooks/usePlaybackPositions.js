@@ -0,0 +1,54 @@
+import { useCallback } from 'react';
+import useProfileStorage from './useProfileStorage';
+import { PLAYBACK_POSITIONS_STORE } from '../utils/stores';
+
+/**
+ * usePlaybackPositions Hook
+ *
+ * Remembers where each video was left off, per child profile, so playback
+ * can resume there and the grid can show a progress bar.
+ *
+ *   { [videoId]: { position, duration, updatedAt } }
+ */
+
+const MIN_RESUME_SECONDS = 5; // Barely started - start over next time
+const END_MARGIN_SECONDS = 10; // Nearly finished - start over next time
+
+function usePlaybackPositions(profileId) {
+  const [positions, setPositions] = useProfileStorage(PLAYBACK_POSITIONS_STORE, profileId);
+
+  // Save a video's position; positions near the start or end are cleared
+  const savePosition = useCallback(
+    (videoId, position, duration) => {
+      setPositions((prev) => {
+        // Duration not known yet - keep what we have
+        if (!(duration > 0)) {
+          return prev;
+        }
+
+        const isResumable =
+          position >= MIN_RESUME_SECONDS &&
+          position <= duration - END_MARGIN_SECONDS;
+
+        if (!isResumable) {
+          if (!prev[videoId]) {
+            return prev;
+          }
+          const { [videoId]: _removed, ...rest } = prev;
+          return rest;
+        }
+        return { ...prev, [videoId]: { position, duration, updatedAt: Date.now() } };
+      });
+    },
+    [setPositions]
+  );
+
+  // Forget every saved position
+  const clearPositions = useCallback(() => {
+    setPositions({});
+  }, [setPositions]);
+
+  return { positions, savePosition, clearPositions };
+}
+
+export default usePlaybackPositions;
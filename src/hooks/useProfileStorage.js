@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback } from 'react';
+import { profileStorageKey } from '../utils/profiles';
+import { readStore, writeStore } from '../utils/storage';
+
+/**
+ * useProfileStorage Hook
+ *
+ * useState backed by a versioned store (see utils/storage), with a separate
+ * saved value per child profile. Switching the profile id swaps in that
+ * profile's saved value; missing or damaged values start as store.fallback.
+ */
+
+function useProfileStorage(store, profileId) {
+  const [state, setState] = useState(() => ({
+    profileId,
+    value: readStore(store, profileStorageKey(store.key, profileId))
+  }));
+
+  // Switch to the other profile's value when the active profile changes
+  let current = state;
+  if (state.profileId !== profileId) {
+    current = { profileId, value: readStore(store, profileStorageKey(store.key, profileId)) };
+    setState(current);
+  }
+
+  // Save changes
+  useEffect(() => {
+    writeStore(store, state.value, profileStorageKey(store.key, state.profileId));
+  }, [store, state]);
+
+  // Same shape as useState's setter, always applied to the active profile
+  const setValue = useCallback((update) => {
+    setState((prev) => ({
+      ...prev,
+      value: typeof update === 'function' ? update(prev.value) : update
+    }));
+  }, []);
+
+  return [current.value, setValue];
+}
+
+export default useProfileStorage;
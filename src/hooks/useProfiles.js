@@ -0,0 +1,126 @@
+import { useState, useEffect, useCallback } from 'react';
+import { createProfile, migrateLegacyProfile, profileStorageKey } from '../utils/profiles';
+import { readStore, writeStore, removeStore } from '../utils/storage';
+import { PROFILES_STORE, PROFILE_STORES } from '../utils/stores';
+
+/**
+ * useProfiles Hook
+ *
+ * Keeps the list of child profiles and which one is active.
+ * Library, collection and settings updates apply to the active profile.
+ */
+
+// Load saved profiles, migrating the old single library on first run
+function loadProfileState() {
+  const saved = readStore(PROFILES_STORE);
+  if (saved) {
+    return saved;
+  }
+  const profile = migrateLegacyProfile();
+  return { activeProfileId: profile.id, profiles: [profile] };
+}
+
+function useProfiles() {
+  const [state, setState] = useState(loadProfileState);
+
+  // Save profile changes
+  useEffect(() => {
+    writeStore(PROFILES_STORE, state);
+  }, [state]);
+
+  const { profiles, activeProfileId } = state;
+  const activeProfile = profiles.find((p) => p.id === activeProfileId) || profiles[0];
+
+  // Apply a change function to the active profile
+  const updateActiveProfile = useCallback((update) => {
+    setState((prev) => ({
+      ...prev,
+      profiles: prev.profiles.map((p) => (p.id === prev.activeProfileId ? update(p) : p))
+    }));
+  }, []);
+
+  // Switch the active profile
+  const selectProfile = useCallback((profileId) => {
+    setState((prev) => ({ ...prev, activeProfileId: profileId }));
+  }, []);
+
+  // Create a profile and make it active
+  const addProfile = useCallback((name, avatar) => {
+    const profile = createProfile(name, avatar);
+    setState((prev) => ({
+      activeProfileId: profile.id,
+      profiles: [...prev.profiles, profile]
+    }));
+  }, []);
+
+  // Delete a profile and its per-profile data (the last one can't be removed)
+  const removeProfile = useCallback(
+    (profileId) => {
+      if (profiles.length <= 1) {
+        return;
+      }
+      setState((prev) => {
+        const remaining = prev.profiles.filter((p) => p.id !== profileId);
+        const activeId =
+          prev.activeProfileId === profileId ? remaining[0].id : prev.activeProfileId;
+        return { activeProfileId: activeId, profiles: remaining };
+      });
+      PROFILE_STORES.forEach((store) =>
+        removeStore(store, profileStorageKey(store.key, profileId))
+      );
+    },
+    [profiles.length]
+  );
+
+  // Rename or change the avatar of the active profile
+  const updateProfileDetails = useCallback(
+    (changes) => {
+      updateActiveProfile((p) => ({ ...p, ...changes }));
+    },
+    [updateActiveProfile]
+  );
+
+  // Update the active profile's library (value or updater function)
+  const setLibrary = useCallback(
+    (update) => {
+      updateActiveProfile((p) => ({
+        ...p,
+        library: typeof update === 'function' ? update(p.library) : update
+      }));
+    },
+    [updateActiveProfile]
+  );
+
+  // Update the active profile's collections (value or updater function)
+  const setCollections = useCallback(
+    (update) => {
+      updateActiveProfile((p) => ({
+        ...p,
+        collections: typeof update === 'function' ? update(p.collections) : update
+      }));
+    },
+    [updateActiveProfile]
+  );
+
+  // Merge changes into the active profile's settings
+  const updateSettings = useCallback(
+    (changes) => {
+      updateActiveProfile((p) => ({ ...p, settings: { ...p.settings, ...changes } }));
+    },
+    [updateActiveProfile]
+  );
+
+  return {
+    profiles,
+    activeProfile,
+    selectProfile,
+    addProfile,
+    removeProfile,
+    updateProfileDetails,
+    setLibrary,
+    setCollections,
+    updateSettings
+  };
+}
+
+export default useProfiles;
@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback } from 'react';
+import useProfileStorage from './useProfileStorage';
+import { isWithinSchedule } from '../utils/schedule';
+import { removeStore } from '../utils/storage';
+import { SCHEDULE_OVERRIDE_STORE } from '../utils/stores';
+
+/**
+ * useSchedule Hook
+ *
+ * Reports whether videos are allowed right now according to the parent's
+ * weekly schedule. A parent can grant a temporary override (e.g. "+15 minutes")
+ * which is saved per profile so it survives a reload.
+ */
+
+const CHECK_INTERVAL = 15000; // Re-check every 15 seconds
+
+function useSchedule(schedule, profileId) {
+  const [now, setNow] = useState(() => Date.now());
+  const [overrideUntil, setOverrideUntil] = useProfileStorage(SCHEDULE_OVERRIDE_STORE, profileId);
+
+  // Drop the override saved for all profiles by older versions
+  useEffect(() => {
+    removeStore(SCHEDULE_OVERRIDE_STORE);
+  }, []);
+
+  // Keep the clock fresh so windows open and close on time
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Extend viewing by the given number of minutes from now (or from the
+  // end of an override that is still running)
+  const extendBy = useCallback(
+    (minutes) => {
+      const current = Date.now();
+      setNow(current);
+      setOverrideUntil((prev) => Math.max(prev, current) + minutes * 60 * 1000);
+    },
+    [setOverrideUntil]
+  );
+
+  const isOverridden = overrideUntil > now;
+  const isAllowed = isOverridden || isWithinSchedule(schedule, new Date(now));
+
+  return { isAllowed, isOverridden, overrideUntil, extendBy };
+}
+
+export default useSchedule;
@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { profileStorageKey } from '../utils/profiles';
+import { getTodayKey } from '../utils/dates';
+import { readStore, writeStore } from '../utils/storage';
+import { SCREEN_TIME_STORE } from '../utils/stores';
+
+/**
+ * useScreenTime Hook
+ *
+ * Tracks how many seconds of video have been watched today.
+ * Time only counts while a video is actually playing. The running total
+ * is saved to localStorage per child profile so it survives reloads, and it
+ * resets at midnight.
+ */
+
+const TICK_INTERVAL = 1000; // Check once per second
+const MAX_TICK_SECONDS = 5; // Ignore gaps from a sleeping device
+
+// Fresh usage record for the given profile and day
+function createUsage(profileId, date) {
+  return { profileId, date, secondsWatched: 0, unlocked: false };
+}
+
+// Load today's usage for a profile, discarding records from previous days
+function loadUsage(profileId) {
+  const today = getTodayKey();
+  const saved = readStore(SCREEN_TIME_STORE, profileStorageKey(SCREEN_TIME_STORE.key, profileId));
+  if (saved && saved.date === today) {
+    return { ...saved, profileId };
+  }
+  return createUsage(profileId, today);
+}
+
+function useScreenTime(isPlaying, profileId) {
+  const [usage, setUsage] = useState(() => loadUsage(profileId));
+  const lastTickRef = useRef(Date.now());
+
+  // Switch to the other profile's usage when the active profile changes
+  let currentUsage = usage;
+  if (usage.profileId !== profileId) {
+    currentUsage = loadUsage(profileId);
+    setUsage(currentUsage);
+  }
+
+  // Save usage changes
+  useEffect(() => {
+    writeStore(SCREEN_TIME_STORE, usage, profileStorageKey(SCREEN_TIME_STORE.key, usage.profileId));
+  }, [usage]);
+
+  // Tick every second: count playing time and roll over at midnight
+  useEffect(() => {
+    lastTickRef.current = Date.now();
+
+    const interval = setInterval(() => {
+      const now = Date.now();
+      const elapsed = Math.min((now - lastTickRef.current) / 1000, MAX_TICK_SECONDS);
+      lastTickRef.current = now;
+
+      const today = getTodayKey();
+      setUsage((prev) => {
+        if (prev.date !== today) {
+          return createUsage(prev.profileId, today);
+        }
+        if (!isPlaying) {
+          return prev;
+        }
+        return { ...prev, secondsWatched: prev.secondsWatched + elapsed };
+      });
+    }, TICK_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [isPlaying]);
+
+  // Lift the lockout for the rest of today (after a parental gate unlock)
+  const unlockForToday = useCallback(() => {
+    setUsage((prev) => ({ ...prev, unlocked: true }));
+  }, []);
+
+  // Start today's count over
+  const resetToday = useCallback(() => {
+    setUsage((prev) => createUsage(prev.profileId, getTodayKey()));
+  }, []);
+
+  return {
+    secondsWatched: currentUsage.secondsWatched,
+    unlocked: currentUsage.unlocked,
+    unlockForToday,
+    resetToday
+  };
+}
+
+export default useScreenTime;
@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react';
+import { getMediaUrl } from '../utils/config';
+
+/**
+ * useVideoManifest Hook
+ *
+ * Loads the manifest written by `npm run download-videos`, which lists the
+ * video files bundled with the app in public/videos (or the "mediaPath"
+ * of config.json):
+ *
+ *   { version, generatedAt,
+ *     videos: { [id]: { file, size, duration, title, poster?, transcoded? } } }
+ *
+ * Returns { [videoId]: { url, posterUrl, size, duration } } (posterUrl is
+ * null without a poster frame), empty when no videos were downloaded.
+ */
+
+// Only plain file names inside the videos folder are accepted
+const isFileName = (value) => typeof value === 'string' && value !== '' && !value.includes('/');
+
+function useVideoManifest() {
+  const [localFiles, setLocalFiles] = useState({});
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    fetch(getMediaUrl('manifest.json'), { cache: 'no-cache' })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((manifest) => {
+        if (isCancelled || !manifest || typeof manifest.videos !== 'object') {
+          return;
+        }
+        const entries = Object.entries(manifest.videos)
+          .filter(([, entry]) => entry && isFileName(entry.file))
+          .map(([videoId, entry]) => [
+            videoId,
+            {
+              url: getMediaUrl(encodeURIComponent(entry.file)),
+              posterUrl: isFileName(entry.poster)
+                ? getMediaUrl(encodeURIComponent(entry.poster))
+                : null,
+              size: entry.size,
+              duration: entry.duration
+            }
+          ]);
+        setLocalFiles(Object.fromEntries(entries));
+      })
+      .catch(() => {
+        // No bundled videos (or offline before the manifest was cached)
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
+  return localFiles;
+}
+
+export default useVideoManifest;
@@ -0,0 +1,40 @@
+import { useCallback } from 'react';
+import useProfileStorage from './useProfileStorage';
+import { pruneHistory } from '../utils/history';
+import { WATCH_HISTORY_STORE } from '../utils/stores';
+
+/**
+ * useWatchHistory Hook
+ *
+ * Local-only log of what each child watched (per profile).
+ * Entries older than the retention window are dropped as new ones arrive.
+ */
+
+function useWatchHistory(profileId) {
+  const [history, setHistory] = useProfileStorage(WATCH_HISTORY_STORE, profileId);
+
+  // Add a viewing session to the log, or update it when the same session
+  // (same video and start time) is saved again
+  const recordWatch = useCallback(
+    (entry) => {
+      setHistory((prev) =>
+        pruneHistory([
+          ...prev.filter(
+            (e) => e.videoId !== entry.videoId || e.startedAt !== entry.startedAt
+          ),
+          entry
+        ])
+      );
+    },
+    [setHistory]
+  );
+
+  // Forget the whole log
+  const clearHistory = useCallback(() => {
+    setHistory([]);
+  }, [setHistory]);
+
+  return { history, recordWatch, clearHistory };
+}
+
+export default useWatchHistory;
@@ -1,19 +1,19 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { loadConfig } from './utils/config';
 import './styles/index.css';
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
-
-// Register service worker for PWA
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').catch(() => {
-      // Service worker registration failed, app still works
-    });
+// Read config.json before the first render (profiles need the default library).
+// Render even if that fails, with whatever defaults are in place.
+loadConfig()
+  .catch((err) => console.error('Could not load the configuration:', err))
+  .finally(() => {
+    ReactDOM.createRoot(document.getElementById('root')).render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
   });
-}
+
+// The service worker is registered by App (see hooks/useAppUpdate)
@@ -0,0 +1,67 @@
+import { extractVideoId } from './videoIds';
+import { EMOJIS, COLORS } from './palettes';
+
+/**
+ * Bulk add helpers
+ *
+ * Each non-empty line of the pasted text is a YouTube URL or ID, optionally
+ * followed by a title:
+ *
+ *   https://youtu.be/XqZsoesa55w Fun Dance Song
+ *   dQw4w9WgXcQ | Counting Song
+ *   6A_uNfM-m9M
+ *
+ * Emojis and colors are assigned in turn from the palettes.
+ */
+
+const MAX_TITLE_LENGTH = 30;
+
+// Split one line into its URL/ID and optional title
+function splitLine(line) {
+  const [input, ...rest] = line.trim().split(/\s+/);
+  const title = rest.join(' ').replace(/^[|,;\-–—:]+\s*/, '').trim();
+  return { input, title };
+}
+
+// Check every line against the library and each other.
+// Returns one result per non-empty line:
+//   { line, text, status: 'added' | 'duplicate' | 'invalid', reason?, video? }
+export function parseBulkInput(text, existingVideos) {
+  const libraryIds = new Set(existingVideos.map((v) => v.id));
+  const pastedIds = new Set();
+  let added = 0;
+
+  return text
+    .split('\n')
+    .map((line, index) => ({ text: line, line: index + 1 }))
+    .filter(({ text: line }) => line.trim())
+    .map(({ text: line, line: lineNumber }) => {
+      const { input, title } = splitLine(line);
+      const id = extractVideoId(input);
+      const result = { line: lineNumber, text: line.trim() };
+
+      if (!id) {
+        return { ...result, status: 'invalid', reason: 'Not a YouTube URL or ID' };
+      }
+      if (libraryIds.has(id)) {
+        return { ...result, status: 'duplicate', reason: 'Already in the library' };
+      }
+      if (pastedIds.has(id)) {
+        return { ...result, status: 'duplicate', reason: 'Listed more than once' };
+      }
+      pastedIds.add(id);
+
+      const position = existingVideos.length + added;
+      added += 1;
+      return {
+        ...result,
+        status: 'added',
+        video: {
+          id,
+          title: (title || `Video ${position + 1}`).slice(0, MAX_TITLE_LENGTH),
+          emoji: EMOJIS[position % EMOJIS.length],
+          color: COLORS[position % COLORS.length]
+        }
+      };
+    });
+}
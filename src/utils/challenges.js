@@ -0,0 +1,130 @@
+/**
+ * Parental gate challenges
+ *
+ * Puzzles an adult solves in seconds but a pre-reader can't: each type
+ * has its own generator here and its own component in GateChallenge.jsx.
+ * To add a type, add it to CHALLENGE_TYPES and to the component's
+ * CHALLENGE_COMPONENTS map.
+ */
+
+export const CHALLENGE_TYPES = [
+  { value: 'math', label: '➗ Math problem (digits)' },
+  { value: 'words', label: '🔤 Math problem in words' },
+  { value: 'descending', label: '🔢 Tap numbers, highest first' },
+  { value: 'gesture', label: '👉 Swipe sequence' }
+];
+
+export const DIFFICULTIES = [
+  { value: 'easy', label: 'Easy' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'hard', label: 'Hard' }
+];
+
+// Challenge settings before a parent picks any (the original math problem)
+export const DEFAULT_CHALLENGES = ['math'];
+export const DEFAULT_DIFFICULTY = 'easy';
+
+// Number ranges [min, max] per operation and difficulty
+const ARITHMETIC_RANGES = {
+  easy: {
+    '+': [[10, 29], [10, 29]],
+    '-': [[20, 49], [5, 19]],
+    '×': [[3, 10], [3, 10]]
+  },
+  medium: {
+    '+': [[20, 69], [20, 69]],
+    '-': [[40, 99], [11, 39]],
+    '×': [[6, 15], [3, 9]]
+  },
+  hard: {
+    '+': [[40, 99], [40, 99]],
+    '-': [[100, 199], [20, 99]],
+    '×': [[12, 25], [4, 9]]
+  }
+};
+
+// Descending keypad: how many numbers, from which range
+const KEYPAD_SIZES = {
+  easy: { count: 4, range: [1, 20] },
+  medium: { count: 5, range: [10, 99] },
+  hard: { count: 6, range: [10, 99] }
+};
+
+// Gesture sequence length
+const GESTURE_LENGTHS = { easy: 3, medium: 4, hard: 5 };
+
+export const SWIPE_DIRECTIONS = ['up', 'down', 'left', 'right'];
+const MIN_SWIPE_DISTANCE = 40; // px
+
+const OPERATION_WORDS = { '+': 'plus', '-': 'minus', '×': 'times' };
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+  'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+const randomInt = ([min, max]) => min + Math.floor(Math.random() * (max - min + 1));
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+// Random problem: { num1, num2, operation, answer }
+export function createArithmeticProblem(difficulty) {
+  const ranges = ARITHMETIC_RANGES[difficulty] || ARITHMETIC_RANGES[DEFAULT_DIFFICULTY];
+  const operation = pick(Object.keys(ranges));
+  const [range1, range2] = ranges[operation];
+  const num1 = randomInt(range1);
+  const num2 = randomInt(range2);
+  const answer = operation === '+' ? num1 + num2 : operation === '-' ? num1 - num2 : num1 * num2;
+  return { num1, num2, operation, answer };
+}
+
+// English words for 0-999, e.g. 123 -> "one hundred twenty-three"
+export function numberToWords(number) {
+  if (number < 20) {
+    return ONES[number];
+  }
+  if (number < 100) {
+    const ones = number % 10;
+    return ones ? `${TENS[Math.floor(number / 10)]}-${ONES[ones]}` : TENS[number / 10];
+  }
+  const rest = number % 100;
+  const hundreds = `${ONES[Math.floor(number / 100)]} hundred`;
+  return rest ? `${hundreds} ${numberToWords(rest)}` : hundreds;
+}
+
+// A problem written out, e.g. "twenty-three plus eleven"
+export function problemToWords({ num1, num2, operation }) {
+  return `${numberToWords(num1)} ${OPERATION_WORDS[operation]} ${numberToWords(num2)}`;
+}
+
+// Distinct numbers in shuffled order for the descending keypad
+export function createKeypadNumbers(difficulty) {
+  const { count, range } = KEYPAD_SIZES[difficulty] || KEYPAD_SIZES[DEFAULT_DIFFICULTY];
+  const numbers = new Set();
+  while (numbers.size < count) {
+    numbers.add(randomInt(range));
+  }
+  return [...numbers];
+}
+
+// Random swipe directions, never the same one twice in a row
+export function createGestureSequence(difficulty) {
+  const length = GESTURE_LENGTHS[difficulty] || GESTURE_LENGTHS[DEFAULT_DIFFICULTY];
+  const sequence = [];
+  while (sequence.length < length) {
+    const previous = sequence[sequence.length - 1];
+    sequence.push(pick(SWIPE_DIRECTIONS.filter((direction) => direction !== previous)));
+  }
+  return sequence;
+}
+
+// Direction of a pointer movement, or null when it was too short
+export function detectSwipe(dx, dy) {
+  if (Math.max(Math.abs(dx), Math.abs(dy)) < MIN_SWIPE_DISTANCE) {
+    return null;
+  }
+  if (Math.abs(dx) > Math.abs(dy)) {
+    return dx > 0 ? 'right' : 'left';
+  }
+  return dy > 0 ? 'down' : 'up';
+}
@@ -0,0 +1,47 @@
+/**
+ * Collection (series) helpers
+ *
+ * A profile's collections are stored next to its library:
+ *
+ *   collections: [{ id, title, emoji, color }]
+ *   library:     [{ id, title, emoji, color, collectionId? }]
+ *
+ * Videos without a collectionId (or pointing at a collection that no
+ * longer exists) belong to the built-in "ungrouped" collection, so plain
+ * {id, title, emoji, color} entries keep working unchanged.
+ */
+
+export const UNGROUPED_ID = 'ungrouped';
+
+// Built-in collection for videos not in any series
+export const UNGROUPED_COLLECTION = {
+  id: UNGROUPED_ID,
+  title: 'More Videos',
+  emoji: '📺',
+  color: '#67B7DC'
+};
+
+// New collection with a generated id
+export function createCollection(title, emoji, color) {
+  return {
+    id: `collection-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    title,
+    emoji,
+    color
+  };
+}
+
+// Group videos by collection, in collection order, keeping library order
+// inside each group. Empty collections are left out; ungrouped videos come last.
+export function groupVideos(videos, collections) {
+  const knownIds = new Set(collections.map((c) => c.id));
+  const groupOf = (video) =>
+    video.collectionId && knownIds.has(video.collectionId) ? video.collectionId : UNGROUPED_ID;
+
+  return [...collections, UNGROUPED_COLLECTION]
+    .map((collection) => ({
+      collection,
+      videos: videos.filter((video) => groupOf(video) === collection.id)
+    }))
+    .filter((group) => group.videos.length > 0);
+}
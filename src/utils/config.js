@@ -0,0 +1,240 @@
+import { parseLibraryFile, previewImport } from './libraryFile';
+
+/**
+ * Runtime configuration
+ *
+ * config.json next to index.html is read once at startup (see main.jsx),
+ * so one build can be deployed to several devices or hosts with different
+ * settings. Every field is optional; missing or invalid values fall back
+ * to DEFAULT_CONFIG:
+ *
+ *   {
+ *     "basePath": null,            where the app's files are served (default:
+ *                                  the folder of index.html)
+ *     "mediaPath": "videos/",      bundled video files (npm run download-videos),
+ *                                  relative to basePath or a full URL
+ *     "defaultLibrary": "starter", "starter" (videos.json), "full" (videos-full.json)
+ *                                  or the path/URL of a library export file
+ *     "title": "Kids Video Player",
+ *     "themeColor": "#6B5CE7",
+ *     "gate": { "maxAttempts": 3, "holdSeconds": 3, "allowHold": true },
+ *                                  maxAttempts: wrong answers before the gate locks
+ *     "features": { "profiles": true, "screenTime": true, ... }
+ *   }
+ *
+ * The installed app's name and icon colors come from the web manifest,
+ * which is fixed at build time (vite.config.js).
+ */
+
+export const DEFAULT_CONFIG = {
+  basePath: null,
+  mediaPath: 'videos/',
+  defaultLibrary: 'starter',
+  title: 'Kids Video Player',
+  themeColor: '#6B5CE7',
+  gate: {
+    maxAttempts: 3,
+    holdSeconds: 3,
+    allowHold: true
+  },
+  features: {
+    profiles: true,
+    screenTime: true,
+    schedule: true,
+    watchReport: true,
+    offlineVideos: true,
+    libraryTransfer: true,
+    bulkAdd: true
+  }
+};
+
+const CONFIG_URL = `${import.meta.env.BASE_URL}config.json`;
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// Libraries bundled with the app, loaded only when chosen
+const BUNDLED_LIBRARIES = {
+  starter: () => import('../data/videos.json'),
+  full: () => import('../data/videos-full.json')
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+const isBoolean = (value) => typeof value === 'boolean';
+
+// Checks for each top-level field
+const CONFIG_CHECKS = {
+  basePath: (value) => value === null || isText(value),
+  mediaPath: isText,
+  defaultLibrary: isText,
+  title: isText,
+  themeColor: (value) => HEX_COLOR.test(value)
+};
+
+// Checks for the parental gate options
+const GATE_CHECKS = {
+  maxAttempts: (value) => Number.isInteger(value) && value > 0,
+  holdSeconds: (value) => Number.isFinite(value) && value > 0,
+  allowHold: isBoolean
+};
+
+// Known fields of one group (gate, features) with invalid values reset
+function cleanGroup(raw, defaults, checks, onInvalid, label) {
+  if (raw === undefined) {
+    return defaults;
+  }
+  if (!isObject(raw)) {
+    onInvalid(`"${label}" is not an object`);
+    return defaults;
+  }
+  const group = { ...defaults };
+  Object.keys(defaults).forEach((name) => {
+    if (raw[name] === undefined) {
+      return;
+    }
+    if (checks[name](raw[name])) {
+      group[name] = raw[name];
+    } else {
+      onInvalid(`"${label}.${name}" is invalid`);
+    }
+  });
+  return group;
+}
+
+// Config with defaults filled in and invalid values reset
+export function cleanConfig(raw, onInvalid) {
+  if (!isObject(raw)) {
+    onInvalid('Config is not an object');
+    return DEFAULT_CONFIG;
+  }
+  const config = { ...DEFAULT_CONFIG };
+  Object.entries(CONFIG_CHECKS).forEach(([name, check]) => {
+    if (raw[name] === undefined) {
+      return;
+    }
+    if (check(raw[name])) {
+      config[name] = raw[name];
+    } else {
+      onInvalid(`"${name}" is invalid`);
+    }
+  });
+  config.gate = cleanGroup(raw.gate, DEFAULT_CONFIG.gate, GATE_CHECKS, onInvalid, 'gate');
+  const featureChecks = Object.fromEntries(
+    Object.keys(DEFAULT_CONFIG.features).map((name) => [name, isBoolean])
+  );
+  config.features = cleanGroup(
+    raw.features,
+    DEFAULT_CONFIG.features,
+    featureChecks,
+    onInvalid,
+    'features'
+  );
+  return config;
+}
+
+let currentConfig = DEFAULT_CONFIG;
+let defaultLibrary = { videos: [], collections: [] };
+
+const warn = (message) => console.warn(`config.json: ${message}`);
+
+// Load one of the bundled libraries, or a library file from a path/URL
+async function loadLibrary(name) {
+  if (BUNDLED_LIBRARIES[name]) {
+    const { default: videos } = await BUNDLED_LIBRARIES[name]();
+    return { videos, collections: [] };
+  }
+
+  const response = await fetch(resolveAppUrl(name), { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const preview = previewImport(parseLibraryFile(await response.text()), [], []);
+  const videos = preview.entries
+    .filter((entry) => entry.status === 'added')
+    .map((entry) => entry.video);
+  if (videos.length === 0) {
+    throw new Error('it has no valid videos');
+  }
+  return { videos, collections: preview.collections };
+}
+
+// Mix a hex color with white (amount > 0) or black (amount < 0)
+function shadeColor(hex, amount) {
+  const target = amount > 0 ? 255 : 0;
+  return `#${[1, 3, 5]
+    .map((i) => parseInt(hex.slice(i, i + 2), 16))
+    .map((channel) => Math.round(channel + (target - channel) * Math.abs(amount)))
+    .map((channel) => channel.toString(16).padStart(2, '0'))
+    .join('')}`;
+}
+
+// Show the configured title and theme color
+function applyAppearance({ title, themeColor }) {
+  document.title = title;
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', themeColor);
+  document
+    .querySelector('meta[name="apple-mobile-web-app-title"]')
+    ?.setAttribute('content', title);
+
+  // The stylesheet's own shades are kept for the default color
+  if (themeColor.toLowerCase() !== DEFAULT_CONFIG.themeColor.toLowerCase()) {
+    const root = document.documentElement.style;
+    root.setProperty('--primary', themeColor);
+    root.setProperty('--primary-light', shadeColor(themeColor, 0.2));
+    root.setProperty('--primary-dark', shadeColor(themeColor, -0.2));
+  }
+}
+
+// Read config.json and the default library. Never throws: without a
+// (valid) config file the defaults are used.
+export async function loadConfig() {
+  let raw = {};
+  try {
+    const response = await fetch(CONFIG_URL, { cache: 'no-cache' });
+    if (response.ok) {
+      raw = await response.json();
+    }
+  } catch (err) {
+    warn(`could not be read (${err.message}), using the defaults`);
+  }
+  currentConfig = cleanConfig(raw, warn);
+
+  try {
+    defaultLibrary = await loadLibrary(currentConfig.defaultLibrary);
+  } catch (err) {
+    warn(
+      `default library "${currentConfig.defaultLibrary}" could not be loaded ` +
+        `(${err.message}), using the starter library`
+    );
+    defaultLibrary = await loadLibrary(DEFAULT_CONFIG.defaultLibrary).catch((fallbackErr) => {
+      warn(`starter library could not be loaded (${fallbackErr.message}), starting empty`);
+      return { videos: [], collections: [] };
+    });
+  }
+
+  applyAppearance(currentConfig);
+  return currentConfig;
+}
+
+// The loaded configuration (DEFAULT_CONFIG before loadConfig finishes)
+export function getConfig() {
+  return currentConfig;
+}
+
+// Default library for new profiles and "Reset to Defaults": { videos, collections }
+export function getDefaultLibrary() {
+  return defaultLibrary;
+}
+
+// Absolute URL of a file relative to the app's base path
+export function resolveAppUrl(path) {
+  const base = new URL(currentConfig.basePath || import.meta.env.BASE_URL, document.baseURI);
+  return new URL(path, base).href;
+}
+
+// Absolute URL of a file in the bundled videos folder
+export function getMediaUrl(fileName) {
+  const mediaPath = currentConfig.mediaPath.endsWith('/')
+    ? currentConfig.mediaPath
+    : `${currentConfig.mediaPath}/`;
+  return new URL(fileName, resolveAppUrl(mediaPath)).href;
+}
@@ -0,0 +1,88 @@
+/**
+ * Custom cover images
+ *
+ * A parent can give a video its own cover picture - a photo from the
+ * device or a drawing made in settings. Covers are resized to a 16:9 JPEG
+ * and kept in IndexedDB, one record per YouTube video id, shared by all
+ * profiles:
+ *
+ *   { videoId, blob, source: 'photo' | 'drawing', savedAt }
+ *
+ * A custom cover is shown instead of the bundled or YouTube thumbnail.
+ */
+
+import { runRequest, listRecords } from './indexedDb';
+
+const DATABASE = {
+  name: 'kidsCoverImages',
+  version: 1,
+  storeName: 'covers',
+  unavailableMessage: 'This browser cannot store cover pictures.'
+};
+
+// Size and quality covers are saved at (the grid shows them at most ~320px wide)
+export const COVER_WIDTH = 640;
+export const COVER_HEIGHT = 360;
+const COVER_TYPE = 'image/jpeg';
+const COVER_QUALITY = 0.85;
+
+// Every stored cover, including its image
+export function listCoverImages() {
+  return listRecords(DATABASE);
+}
+
+// Store a cover, replacing any earlier one for the video
+export async function saveCoverImage(videoId, blob, source) {
+  const record = { videoId, blob, source, savedAt: Date.now() };
+  await runRequest(DATABASE, 'readwrite', (store) => store.put(record));
+  return record;
+}
+
+// Remove a video's cover (it goes back to the usual thumbnail)
+export function deleteCoverImage(videoId) {
+  return runRequest(DATABASE, 'readwrite', (store) => store.delete(videoId));
+}
+
+// Canvas contents as a cover image blob
+export function canvasToCover(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Could not save the picture.'))),
+      COVER_TYPE,
+      COVER_QUALITY
+    );
+  });
+}
+
+// Load an image file so it can be drawn on a canvas
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('That file is not a picture this browser can open.'));
+    };
+    image.src = url;
+  });
+}
+
+// A picture file scaled and cropped (from the middle) to a cover image
+export async function imageFileToCover(file) {
+  const image = await loadImage(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = COVER_WIDTH;
+  canvas.height = COVER_HEIGHT;
+
+  const scale = Math.max(COVER_WIDTH / image.naturalWidth, COVER_HEIGHT / image.naturalHeight);
+  const width = image.naturalWidth * scale;
+  const height = image.naturalHeight * scale;
+  canvas
+    .getContext('2d')
+    .drawImage(image, (COVER_WIDTH - width) / 2, (COVER_HEIGHT - height) / 2, width, height);
+  return canvasToCover(canvas);
+}
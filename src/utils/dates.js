@@ -0,0 +1,24 @@
+/**
+ * Date and duration helpers
+ */
+
+// Local calendar day, e.g. "2024-03-15"
+export function getTodayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Midnight at the start of the date's calendar week (weeks start on Monday)
+export function getWeekStart(date = new Date()) {
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday);
+}
+
+// Format seconds as a short "1 h 05 min" / "12 min" label
+export function formatMinutes(seconds) {
+  const totalMinutes = Math.floor(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours} h ${String(minutes).padStart(2, '0')} min` : `${minutes} min`;
+}
@@ -0,0 +1,15 @@
+/**
+ * Save a file to the device from in-memory content.
+ * Nothing is uploaded - the browser writes the file locally.
+ */
+export function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
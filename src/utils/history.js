@@ -0,0 +1,130 @@
+import { getTodayKey, getWeekStart } from './dates';
+
+/**
+ * Watch history helpers
+ *
+ * The history is a local-only log, one entry per time a video was opened:
+ *
+ *   { videoId, title, emoji, startedAt, secondsWatched, finished }
+ *
+ * startedAt is ms since epoch; secondsWatched only counts time spent
+ * actually playing; finished is true when the video reached its end.
+ */
+
+export const HISTORY_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Drop entries older than the retention window
+export function pruneHistory(history, now = Date.now()) {
+  const cutoff = now - HISTORY_RETENTION_DAYS * DAY_MS;
+  return history.filter((entry) => entry.startedAt >= cutoff);
+}
+
+// Totals per calendar week (Monday to Sunday), newest first, from the week
+// of the oldest entry to this week: [{ weekStart, seconds, plays }], where
+// weekStart is the Monday's day key
+export function summarizeWeeks(history, now = new Date()) {
+  const oldest = history.reduce((min, entry) => Math.min(min, entry.startedAt), now.getTime());
+  const oldestWeek = getWeekStart(new Date(oldest));
+
+  const weeks = [];
+  for (
+    let start = getWeekStart(now);
+    start >= oldestWeek;
+    start = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 7)
+  ) {
+    weeks.push({ weekStart: getTodayKey(start), seconds: 0, plays: 0 });
+  }
+  const weekByKey = new Map(weeks.map((week) => [week.weekStart, week]));
+
+  history.forEach((entry) => {
+    const week = weekByKey.get(getTodayKey(getWeekStart(new Date(entry.startedAt))));
+    if (week) {
+      week.seconds += entry.secondsWatched;
+      week.plays += 1;
+    }
+  });
+  return weeks;
+}
+
+// Totals for today, this calendar week and the last 7 days, per-day and
+// per-week breakdowns (newest first) and the most-watched videos of the
+// last 7 days
+export function summarizeHistory(history, now = new Date()) {
+  const todayKey = getTodayKey(now);
+
+  // Last 7 calendar days, newest first
+  const days = Array.from({ length: 7 }, (_, i) => {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+    return { date: getTodayKey(date), seconds: 0, plays: 0 };
+  });
+  const dayByKey = new Map(days.map((day) => [day.date, day]));
+
+  const videoTotals = new Map();
+
+  history.forEach((entry) => {
+    const day = dayByKey.get(getTodayKey(new Date(entry.startedAt)));
+    if (!day) {
+      return;
+    }
+    day.seconds += entry.secondsWatched;
+    day.plays += 1;
+
+    const totals = videoTotals.get(entry.videoId) || {
+      videoId: entry.videoId,
+      title: entry.title,
+      emoji: entry.emoji,
+      plays: 0,
+      seconds: 0
+    };
+    totals.plays += 1;
+    totals.seconds += entry.secondsWatched;
+    videoTotals.set(entry.videoId, totals);
+  });
+
+  const topVideos = [...videoTotals.values()]
+    .sort((a, b) => b.seconds - a.seconds || b.plays - a.plays)
+    .slice(0, 5);
+  const weeks = summarizeWeeks(history, now);
+
+  return {
+    todaySeconds: dayByKey.get(todayKey).seconds,
+    thisWeekSeconds: weeks[0].seconds,
+    last7DaysSeconds: days.reduce((sum, day) => sum + day.seconds, 0),
+    days,
+    weeks,
+    topVideos
+  };
+}
+
+// Quote a CSV field when needed
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Full history as CSV, oldest first
+export function historyToCsv(history) {
+  const header = ['date', 'time', 'video_id', 'title', 'minutes_watched', 'finished'];
+  const rows = history.map((entry) => {
+    const started = new Date(entry.startedAt);
+    return [
+      getTodayKey(started),
+      started.toTimeString().slice(0, 5),
+      entry.videoId,
+      entry.title,
+      (entry.secondsWatched / 60).toFixed(1),
+      entry.finished ? 'yes' : 'no'
+    ];
+  });
+  return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\n');
+}
+
+// Totals per calendar week as CSV, oldest first
+export function weeklyTotalsToCsv(history) {
+  const header = ['week_starting', 'minutes_watched', 'videos_played'];
+  const rows = summarizeWeeks(history)
+    .reverse()
+    .map((week) => [week.weekStart, (week.seconds / 60).toFixed(1), week.plays]);
+  return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\n');
+}
@@ -0,0 +1,72 @@
+/**
+ * IndexedDB helpers
+ *
+ * The app's IndexedDB databases (see offlineVideos and coverImages) each
+ * hold a single object store of records keyed by YouTube video id. A
+ * database is described once by its module:
+ *
+ *   { name, version, storeName, unavailableMessage }
+ *
+ * where unavailableMessage is the error shown when the browser has no
+ * IndexedDB at all.
+ */
+
+// Open requests by database name, so each database is opened only once
+const openPromises = {};
+
+// Open (and on first use create) a database
+function openDatabase({ name, version, storeName, unavailableMessage }) {
+  if (!openPromises[name]) {
+    openPromises[name] = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error(unavailableMessage));
+        return;
+      }
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, { keyPath: 'videoId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Try again next time instead of keeping the failure
+    openPromises[name].catch(() => {
+      delete openPromises[name];
+    });
+  }
+  return openPromises[name];
+}
+
+// Run one request against the store and resolve with its result once the
+// transaction is done
+export async function runRequest(database, mode, makeRequest) {
+  const db = await openDatabase(database);
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(database.storeName, mode);
+    const request = makeRequest(transaction.objectStore(database.storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Every record in the store, passed through mapRecord (e.g. to leave out
+// large blobs without holding them all in memory at once)
+export async function listRecords(database, mapRecord = (record) => record) {
+  const db = await openDatabase(database);
+  return new Promise((resolve, reject) => {
+    const records = [];
+    const transaction = db.transaction(database.storeName, 'readonly');
+    const request = transaction.objectStore(database.storeName).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        records.push(mapRecord(cursor.value));
+        cursor.continue();
+      }
+    };
+    transaction.oncomplete = () => resolve(records);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
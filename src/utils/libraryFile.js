@@ -0,0 +1,177 @@
+import { extractVideoId } from './videoIds';
+import { EMOJIS, COLORS } from './palettes';
+import { END_BEHAVIOR_OPTIONS } from './playback';
+
+/**
+ * Library export/import file helpers
+ *
+ * An exported library is a versioned JSON file:
+ *
+ *   {
+ *     "format": "kids-video-library",
+ *     "version": 1,
+ *     "exportedAt": "2024-03-15T18:30:00.000Z",
+ *     "collections": [{ "id", "title", "emoji", "color", "endBehavior"? }],
+ *     "videos": [{ "id", "title", "emoji", "color", "collectionId"?, "endBehavior"? }]
+ *   }
+ *
+ * A plain array of videos (like src/data/videos.json) is accepted too.
+ * Video IDs follow the same rules as the "Add Video" form (extractVideoId),
+ * so full YouTube URLs in the file are fine.
+ */
+
+export const LIBRARY_FILE_FORMAT = 'kids-video-library';
+export const LIBRARY_FILE_VERSION = 1;
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+const END_MODES = new Set(END_BEHAVIOR_OPTIONS.map((option) => option.value.mode));
+
+// Build the export file contents
+export function createLibraryFile(videos, collections) {
+  return JSON.stringify(
+    {
+      format: LIBRARY_FILE_FORMAT,
+      version: LIBRARY_FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      collections,
+      videos
+    },
+    null,
+    2
+  );
+}
+
+// Parse and check the top-level shape of an import file.
+// Throws an Error with a parent-readable message when it isn't a library.
+export function parseLibraryFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (Array.isArray(data)) {
+    return { videos: data, collections: [] };
+  }
+
+  if (!data || data.format !== LIBRARY_FILE_FORMAT) {
+    throw new Error('This file is not a video library export.');
+  }
+  if (typeof data.version !== 'number' || data.version > LIBRARY_FILE_VERSION) {
+    throw new Error('This library was exported by a newer version of the app.');
+  }
+  if (!Array.isArray(data.videos)) {
+    throw new Error('This library file has no video list.');
+  }
+
+  return {
+    videos: data.videos,
+    collections: Array.isArray(data.collections) ? data.collections : []
+  };
+}
+
+// Valid end behavior, or undefined
+function cleanEndBehavior(behavior) {
+  if (!behavior || !END_MODES.has(behavior.mode)) {
+    return undefined;
+  }
+  if (behavior.mode === 'count') {
+    const count = Number(behavior.count);
+    return count > 0 ? { mode: 'count', count } : undefined;
+  }
+  return { mode: behavior.mode };
+}
+
+// Valid collection, or null
+function cleanCollection(raw) {
+  if (!raw || typeof raw.id !== 'string' || typeof raw.title !== 'string' || !raw.title.trim()) {
+    return null;
+  }
+  return {
+    id: raw.id,
+    title: raw.title.trim(),
+    emoji: typeof raw.emoji === 'string' && raw.emoji ? raw.emoji : EMOJIS[0],
+    color: HEX_COLOR.test(raw.color) ? raw.color : COLORS[0],
+    endBehavior: cleanEndBehavior(raw.endBehavior)
+  };
+}
+
+// Check one video entry: { video } when valid, { reason } when rejected
+function cleanVideo(raw, collectionIds) {
+  if (!raw || typeof raw !== 'object') {
+    return { reason: 'Not a video entry' };
+  }
+  const id = typeof raw.id === 'string' ? extractVideoId(raw.id.trim()) : null;
+  if (!id) {
+    return { reason: 'Invalid YouTube video ID or URL' };
+  }
+  if (typeof raw.title !== 'string' || !raw.title.trim()) {
+    return { reason: 'Missing title' };
+  }
+  return {
+    video: {
+      id,
+      title: raw.title.trim(),
+      emoji: typeof raw.emoji === 'string' && raw.emoji ? raw.emoji : EMOJIS[0],
+      color: HEX_COLOR.test(raw.color) ? raw.color : COLORS[0],
+      collectionId: collectionIds.has(raw.collectionId) ? raw.collectionId : undefined,
+      endBehavior: cleanEndBehavior(raw.endBehavior)
+    }
+  };
+}
+
+// Sort every entry of a parsed file into added / duplicate / rejected,
+// compared with the current library
+export function previewImport(parsed, currentVideos, currentCollections) {
+  const collections = parsed.collections.map(cleanCollection).filter(Boolean);
+  const collectionIds = new Set([
+    ...collections.map((c) => c.id),
+    ...currentCollections.map((c) => c.id)
+  ]);
+  const existingIds = new Set(currentVideos.map((v) => v.id));
+  const seenIds = new Set();
+
+  const entries = parsed.videos.map((raw, index) => {
+    const { video, reason } = cleanVideo(raw, collectionIds);
+    const label = (raw && (raw.title || raw.id)) || `Entry ${index + 1}`;
+
+    if (!video) {
+      return { status: 'rejected', label: String(label), reason };
+    }
+    if (seenIds.has(video.id)) {
+      return { status: 'rejected', label: video.title, reason: 'Listed twice in the file', video };
+    }
+    seenIds.add(video.id);
+    if (existingIds.has(video.id)) {
+      return { status: 'duplicate', label: video.title, reason: 'Already in the library', video };
+    }
+    return { status: 'added', label: video.title, video };
+  });
+
+  return { entries, collections };
+}
+
+// New library and collections after applying a preview.
+// 'merge' keeps the current library and adds new entries; 'replace' swaps
+// it for every valid entry in the file.
+export function applyImport(preview, mode, currentVideos, currentCollections) {
+  if (mode === 'replace') {
+    const videos = preview.entries
+      .filter((entry) => entry.status === 'added' || entry.status === 'duplicate')
+      .map((entry) => entry.video);
+    return { videos, collections: preview.collections };
+  }
+
+  const existingCollectionIds = new Set(currentCollections.map((c) => c.id));
+  return {
+    videos: [
+      ...currentVideos,
+      ...preview.entries.filter((entry) => entry.status === 'added').map((entry) => entry.video)
+    ],
+    collections: [
+      ...currentCollections,
+      ...preview.collections.filter((c) => !existingCollectionIds.has(c.id))
+    ]
+  };
+}
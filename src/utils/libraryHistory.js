@@ -0,0 +1,58 @@
+/**
+ * Recycle bin and library snapshots
+ *
+ * Removed videos go to a per-profile recycle bin instead of being lost:
+ *
+ *   [{ video: { id, title, emoji, color, ... }, deletedAt }]   (newest first)
+ *
+ * Before a change that replaces much of the library (reset, import,
+ * removing a collection, rolling back) a snapshot of the whole library
+ * is saved so the parent can roll back to it later:
+ *
+ *   [{ id, label, createdAt, videos, collections }]   (newest first)
+ *
+ * Both are capped so localStorage doesn't fill up; the oldest entries go first.
+ */
+
+const MAX_RECYCLED_VIDEOS = 100;
+const MAX_SNAPSHOTS = 10;
+
+// Recycle bin with `videos` added in front (replacing older copies)
+export function addToRecycleBin(bin, videos) {
+  const ids = new Set(videos.map((video) => video.id));
+  const deletedAt = Date.now();
+  return [
+    ...videos.map((video) => ({ video, deletedAt })),
+    ...bin.filter((entry) => !ids.has(entry.video.id))
+  ].slice(0, MAX_RECYCLED_VIDEOS);
+}
+
+// Library with a recycled video put back at the end (unless it is there already)
+export function restoreVideo(library, video) {
+  return library.some((v) => v.id === video.id) ? library : [...library, video];
+}
+
+// New snapshot of a library and its collections
+export function createSnapshot(label, videos, collections) {
+  return {
+    id: `snapshot-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    label,
+    createdAt: Date.now(),
+    videos,
+    collections
+  };
+}
+
+// Snapshots with `snapshot` added in front, unless the library is
+// unchanged since the newest one
+export function addSnapshot(snapshots, snapshot) {
+  const [latest] = snapshots;
+  if (
+    latest &&
+    JSON.stringify([latest.videos, latest.collections]) ===
+      JSON.stringify([snapshot.videos, snapshot.collections])
+  ) {
+    return snapshots;
+  }
+  return [snapshot, ...snapshots].slice(0, MAX_SNAPSHOTS);
+}
@@ -0,0 +1,123 @@
+/**
+ * Offline video storage
+ *
+ * Video files saved for offline playback live in IndexedDB (which, unlike
+ * the Origin Private File System, works in every browser the app supports),
+ * one record per YouTube video id, shared by all profiles:
+ *
+ *   { videoId, blob, size, type, source: 'url' | 'file', name, savedAt }
+ *
+ * Files come from a direct file URL given by the parent or from a file
+ * picked on the device - the app never downloads from YouTube itself.
+ */
+
+import { runRequest, listRecords } from './indexedDb';
+
+const DATABASE = {
+  name: 'kidsOfflineVideos',
+  version: 1,
+  storeName: 'videos',
+  unavailableMessage: 'This browser cannot store videos offline.'
+};
+
+// "1.5 GB", "320 MB", "12 KB"
+export function formatBytes(bytes) {
+  const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value >= 10 || unit === 0 ? Math.round(value) : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Every stored video's details, without the file itself
+export function listOfflineVideos() {
+  return listRecords(DATABASE, ({ blob: _blob, ...details }) => details);
+}
+
+// The stored record (including the file) for a video, or null
+export async function getOfflineVideo(videoId) {
+  const record = await runRequest(DATABASE, 'readonly', (store) => store.get(videoId));
+  return record || null;
+}
+
+// Store a video file, replacing any earlier copy
+export async function saveOfflineVideo(videoId, blob, { source, name }) {
+  const record = {
+    videoId,
+    blob,
+    size: blob.size,
+    type: blob.type || 'video/mp4',
+    source,
+    name,
+    savedAt: Date.now()
+  };
+  await runRequest(DATABASE, 'readwrite', (store) => store.put(record));
+
+  // Ask the browser not to evict stored videos when space runs low
+  if (navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+  const { blob: _blob, ...details } = record;
+  return details;
+}
+
+// Remove a stored video
+export function deleteOfflineVideo(videoId) {
+  return runRequest(DATABASE, 'readwrite', (store) => store.delete(videoId));
+}
+
+// Download a video file from a direct URL, reporting progress (0-1, or
+// null when the server doesn't say how big the file is)
+export async function fetchVideoFile(url, onProgress, signal) {
+  let response;
+  try {
+    response = await fetch(url, { signal });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw err;
+    }
+    throw new Error(
+      'Could not reach that address. The server may not allow downloads from other ' +
+        'sites - save the file to this device and use "Choose File" instead.'
+    );
+  }
+  if (!response.ok) {
+    throw new Error(`The server answered ${response.status} ${response.statusText}.`);
+  }
+
+  const type = response.headers.get('Content-Type') || '';
+  if (type && !type.startsWith('video/') && !type.startsWith('application/octet-stream')) {
+    throw new Error(`That address is not a video file (${type}).`);
+  }
+
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  if (!response.body) {
+    return response.blob();
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    received += value.length;
+    onProgress(total ? received / total : null);
+  }
+  return new Blob(chunks, { type: type.startsWith('video/') ? type : 'video/mp4' });
+}
+
+// Browser storage used and available for this app, in bytes
+export async function getStorageEstimate() {
+  if (!navigator.storage || !navigator.storage.estimate) {
+    return null;
+  }
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+}
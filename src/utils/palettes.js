@@ -0,0 +1,13 @@
+/**
+ * Emoji and color palettes for library entries and collections
+ */
+
+// Available emojis for selection
+export const EMOJIS = ['🎵', '🎬', '🎪', '🎨', '🎭', '🦁', '🐻', '🦄', '🌈', '⭐', '🚀', '🎸'];
+
+// Available colors for selection
+export const COLORS = [
+  '#FF6B6B', '#4ECDC4', '#FFE66D', '#95E1D3',
+  '#A78BFA', '#67B7DC', '#FDCB6E', '#FF85A2',
+  '#B2F2BB', '#C4B5FD', '#F9A826', '#FF9FF3'
+];
@@ -0,0 +1,94 @@
+/**
+ * Parent lock helpers
+ *
+ * The parent PIN and the answer to the recovery question are never saved
+ * as typed: each is kept as a salted PBKDF2-SHA-256 hash (WebCrypto),
+ *
+ *   { salt, hash, iterations }   (salt and hash in base64)
+ *
+ * Failed gate attempts lock the gate for a growing time (getLockoutMs),
+ * saved so a reload doesn't reset it.
+ */
+
+// Ways to pass the parental gate, in the order the gate shows them
+export const GATE_METHODS = [
+  { value: 'pin', label: '🔢 Parent PIN' },
+  { value: 'challenge', label: '🧩 Challenge (see types below)' },
+  { value: 'hold', label: '👆 Hold button' }
+];
+
+// Gate methods before a parent picks any (the original math + hold gate)
+export const DEFAULT_GATE_METHODS = ['challenge', 'hold'];
+
+export const PIN_PATTERN = /^\d{4,8}$/;
+
+// Suggestions for the recovery question (parents can type their own)
+export const RECOVERY_QUESTIONS = [
+  'What was the name of your first pet?',
+  'In which city did your parents meet?',
+  'What was your childhood nickname?',
+  'What was the first concert you went to?'
+];
+
+const HASH_ITERATIONS = 150000;
+const SALT_BYTES = 16;
+const FIRST_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+// WebCrypto only exists on https:// and localhost
+export const canHashSecrets = () => Boolean(globalThis.crypto && crypto.subtle);
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+// PBKDF2-SHA-256 of a secret, as base64
+async function deriveHash(secret, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    256
+  );
+  return toBase64(bits);
+}
+
+// Salted hash of a new secret: { salt, hash, iterations }
+export async function createSecret(secret) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  return {
+    salt: toBase64(salt),
+    hash: await deriveHash(secret, salt, HASH_ITERATIONS),
+    iterations: HASH_ITERATIONS
+  };
+}
+
+// Whether a typed secret matches a saved hash
+export async function verifySecret(secret, stored) {
+  const hash = await deriveHash(secret, fromBase64(stored.salt), stored.iterations);
+  // Compare every character so the time taken doesn't hint at the hash
+  let difference = hash.length ^ stored.hash.length;
+  for (let i = 0; i < hash.length; i++) {
+    difference |= hash.charCodeAt(i) ^ stored.hash.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+// Recovery answers match regardless of case and extra spaces
+export function normalizeAnswer(answer) {
+  return answer.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Lockout after a failed attempt: none for the first `freeAttempts`
+// failures, then 30 seconds, doubling with every failure up to an hour
+export function getLockoutMs(failures, freeAttempts) {
+  if (failures < freeAttempts) {
+    return 0;
+  }
+  return Math.min(FIRST_LOCKOUT_MS * 2 ** (failures - freeAttempts), MAX_LOCKOUT_MS);
+}
@@ -0,0 +1,81 @@
+import { groupVideos } from './collections';
+
+/**
+ * End-of-video behavior helpers
+ *
+ * An end behavior is stored as { mode, count } on a video, a collection,
+ * or the profile settings (the default). The most specific one wins.
+ *
+ * Modes:
+ * - 'loop'  - replay the current video (the classic behavior)
+ * - 'next'  - play the next video in order
+ * - 'count' - play the next videos until `count` have played, then stop
+ * - 'grid'  - return to the grid
+ */
+
+export const DEFAULT_END_BEHAVIOR = { mode: 'loop' };
+
+// Options offered to parents in settings
+export const END_BEHAVIOR_OPTIONS = [
+  { label: '🔁 Replay the video', value: { mode: 'loop' } },
+  { label: '⏭️ Play the next one', value: { mode: 'next' } },
+  { label: '2️⃣ Play 2 videos, then stop', value: { mode: 'count', count: 2 } },
+  { label: '3️⃣ Play 3 videos, then stop', value: { mode: 'count', count: 3 } },
+  { label: '5️⃣ Play 5 videos, then stop', value: { mode: 'count', count: 5 } },
+  { label: '🏠 Go back to the videos', value: { mode: 'grid' } }
+];
+
+// Stable string form of an end behavior, for <select> values
+export function endBehaviorKey(behavior) {
+  if (!behavior) {
+    return '';
+  }
+  return behavior.mode === 'count' ? `count:${behavior.count}` : behavior.mode;
+}
+
+// Inverse of endBehaviorKey ('' means "not set")
+export function parseEndBehaviorKey(key) {
+  if (!key) {
+    return undefined;
+  }
+  const [mode, count] = key.split(':');
+  return mode === 'count' ? { mode, count: Number(count) } : { mode };
+}
+
+// Most specific end behavior for a video
+export function resolveEndBehavior(video, collections, settings) {
+  const collection = collections.find((c) => c.id === video.collectionId);
+  return (
+    video.endBehavior ||
+    (collection && collection.endBehavior) ||
+    settings.endBehavior ||
+    DEFAULT_END_BEHAVIOR
+  );
+}
+
+// Next video in the same collection (or ungrouped list), or null at the end
+export function getNextVideo(video, videos, collections) {
+  const group = groupVideos(videos, collections).find((g) =>
+    g.videos.some((v) => v.id === video.id)
+  );
+  if (!group) {
+    return null;
+  }
+  const index = group.videos.findIndex((v) => v.id === video.id);
+  return group.videos[index + 1] || null;
+}
+
+// What the player should do when `video` ends: 'loop', 'next' or 'grid'.
+// `playedCount` is how many videos have played in a row, including this one.
+export function getEndAction(behavior, nextVideo, playedCount) {
+  switch (behavior.mode) {
+    case 'next':
+      return nextVideo ? 'next' : 'grid';
+    case 'count':
+      return nextVideo && playedCount < behavior.count ? 'next' : 'grid';
+    case 'grid':
+      return 'grid';
+    default:
+      return 'loop';
+  }
+}
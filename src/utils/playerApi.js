@@ -0,0 +1,47 @@
+/**
+ * Player adapters
+ *
+ * The YouTube IFrame player and the local <video> element have different
+ * APIs. PlayerControls drives both through the same small interface:
+ *
+ *   { play(), pause(), seekTo(seconds), getCurrentTime(), getDuration(),
+ *     setVolume(percent) }
+ *
+ * Volume is 0-100 like the YouTube API. Browsers on iOS ignore volume
+ * changes from the page, so the cap only applies elsewhere.
+ */
+
+// Adapter for a YouTube IFrame API player (react-youtube's event.target)
+export function youtubePlayerApi(player) {
+  return {
+    play: () => player.playVideo(),
+    pause: () => player.pauseVideo(),
+    seekTo: (seconds) => player.seekTo(seconds, true),
+    getCurrentTime: () => player.getCurrentTime() || 0,
+    getDuration: () => player.getDuration() || 0,
+    setVolume: (percent) => player.setVolume(percent)
+  };
+}
+
+// Adapter for an HTML5 <video> element
+export function videoElementApi(element) {
+  return {
+    play: () =>
+      element.play().catch((err) => console.error('Error playing local video:', err)),
+    pause: () => element.pause(),
+    seekTo: (seconds) => {
+      element.currentTime = seconds;
+    },
+    getCurrentTime: () => element.currentTime || 0,
+    getDuration: () => (Number.isFinite(element.duration) ? element.duration : 0),
+    setVolume: (percent) => {
+      element.volume = percent / 100;
+    }
+  };
+}
+
+// "1:05" from seconds
+export function formatPlayerTime(seconds) {
+  const whole = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,49 @@
+import defaultSettings from '../data/settings.json';
+import { readStore } from './storage';
+import { getDefaultLibrary } from './config';
+import { LEGACY_LIBRARY_STORE, LEGACY_SETTINGS_STORE } from './stores';
+
+/**
+ * Child profile helpers
+ *
+ * Each profile has its own video library, collections and settings:
+ *
+ *   { id, name, avatar, library: [{ id, title, emoji, color }], collections: [], settings: {...} }
+ *
+ * Per-profile runtime data (screen time, history) is stored under
+ * keys suffixed with the profile id (see profileStorageKey). Saved
+ * profiles are checked and given any newer settings by PROFILES_STORE.
+ */
+
+// Avatar choices for child profiles
+export const AVATARS = ['🧒', '👧', '👦', '👶', '🦊', '🐼', '🐯', '🐸', '🐙', '🦖', '🦋', '🐝'];
+
+// Storage key for per-profile data, e.g. "kidsScreenTime:profile-abc"
+export function profileStorageKey(baseKey, profileId) {
+  return `${baseKey}:${profileId}`;
+}
+
+// New profile with the default library (see config.json) and settings
+export function createProfile(name, avatar) {
+  const { videos, collections } = getDefaultLibrary();
+  return {
+    id: `profile-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    avatar,
+    library: videos,
+    collections,
+    settings: defaultSettings
+  };
+}
+
+// Build the first profile from the pre-profiles library and settings
+export function migrateLegacyProfile() {
+  const profile = createProfile('My Videos', AVATARS[0]);
+  const legacyLibrary = readStore(LEGACY_LIBRARY_STORE);
+  return {
+    ...profile,
+    // A saved library replaces the default one and its collections
+    ...(legacyLibrary && { library: legacyLibrary, collections: [] }),
+    settings: readStore(LEGACY_SETTINGS_STORE) || defaultSettings
+  };
+}
@@ -0,0 +1,19 @@
+/**
+ * Reordering helpers
+ *
+ * The library is shown in the order it is saved in - on the home screen
+ * and inside each collection - so moving an entry in the array is all
+ * it takes to reorder the grid.
+ */
+
+// Copy of `items` with the item whose id is `id` moved to `toIndex`
+// (clamped to the list). Unknown ids leave the list unchanged.
+export function moveItem(items, id, toIndex) {
+  const item = items.find((entry) => entry.id === id);
+  if (!item) {
+    return items;
+  }
+  const rest = items.filter((entry) => entry.id !== id);
+  const index = Math.max(0, Math.min(toIndex, rest.length));
+  return [...rest.slice(0, index), item, ...rest.slice(index)];
+}
@@ -0,0 +1,55 @@
+/**
+ * Allowed-hours schedule helpers
+ *
+ * A schedule is a list of weekly time windows during which videos may
+ * be watched:
+ *
+ *   { enabled: true, windows: [{ days: [1, 2, 3, 4, 5], start: '07:00', end: '07:45' }] }
+ *
+ * Days use Date#getDay() numbering (0 = Sunday ... 6 = Saturday).
+ * Times are local "HH:MM" strings; a window includes its start minute
+ * and ends just before its end minute. A window whose end is not after
+ * its start runs past midnight into the next day: '20:00'-'00:00' is
+ * "until midnight", '19:00'-'07:00' is overnight. Its days are the days
+ * it starts on.
+ */
+
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const WEEKDAYS = [1, 2, 3, 4, 5];
+export const WEEKEND = [0, 6];
+
+// "07:45" -> 465
+export function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Does the window end on the day after it starts?
+export function crossesMidnight(timeWindow) {
+  return timeToMinutes(timeWindow.end) <= timeToMinutes(timeWindow.start);
+}
+
+// Is the given moment inside one of the schedule's windows?
+export function isWithinSchedule(schedule, date = new Date()) {
+  if (!schedule || !schedule.enabled) {
+    return true;
+  }
+
+  const day = date.getDay();
+  const previousDay = (day + 6) % 7;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  return schedule.windows.some((timeWindow) => {
+    const start = timeToMinutes(timeWindow.start);
+    const end = timeToMinutes(timeWindow.end);
+    if (!crossesMidnight(timeWindow)) {
+      return timeWindow.days.includes(day) && minutes >= start && minutes < end;
+    }
+    // The part before midnight, or the part after it on the next day
+    return (
+      (timeWindow.days.includes(day) && minutes >= start) ||
+      (timeWindow.days.includes(previousDay) && minutes < end)
+    );
+  });
+}
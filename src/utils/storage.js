@@ -0,0 +1,139 @@
+/**
+ * Versioned localStorage
+ *
+ * Every persisted value is described by a store (see stores.js):
+ *
+ *   { key, migrations: [fn, ...], validate(data, onInvalid), fallback }
+ *
+ * and saved wrapped with its schema version:
+ *
+ *   { "version": 2, "data": ... }
+ *
+ * The store's version is the number of migrations. migrations[n] upgrades
+ * data saved at version n to version n + 1, so values written before
+ * versioning existed (plain JSON, version 0) run through all of them in
+ * order. validate() then checks the result entry by entry: it returns the
+ * cleaned value, calls onInvalid() for every entry it had to drop or
+ * reset, and throws when nothing usable is left.
+ *
+ * Data that can't be read - bad JSON, from a newer app version, failing
+ * validation - is never thrown away silently: the raw text is kept under
+ * a "kidsCorrupt:" key so a parent can download it from settings.
+ */
+
+const CORRUPT_PREFIX = 'kidsCorrupt:';
+const MAX_CORRUPT_COPIES = 3; // Per key - older copies are dropped
+
+// Current schema version of a store
+export function storeVersion(store) {
+  return store.migrations.length;
+}
+
+// { version, data } from a saved value, treating unwrapped values as version 0
+function unwrap(saved) {
+  if (
+    saved &&
+    typeof saved === 'object' &&
+    !Array.isArray(saved) &&
+    Number.isInteger(saved.version) &&
+    'data' in saved
+  ) {
+    return saved;
+  }
+  return { version: 0, data: saved };
+}
+
+// Every kept corrupt copy, newest first:
+//   [{ id, key, savedAt, problems, raw }]
+export function listCorruptCopies() {
+  const copies = [];
+  const unreadable = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const id = localStorage.key(i);
+    if (!id || !id.startsWith(CORRUPT_PREFIX)) {
+      continue;
+    }
+    try {
+      copies.push({ id, ...JSON.parse(localStorage.getItem(id)) });
+    } catch {
+      unreadable.push(id);
+    }
+  }
+  // A copy we can't read is no use to anyone. Removed after the loop, as
+  // removing shifts the keys' indexes.
+  unreadable.forEach((id) => localStorage.removeItem(id));
+  return copies.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// Forget a kept corrupt copy
+export function removeCorruptCopy(id) {
+  localStorage.removeItem(id);
+}
+
+// Keep the raw text of a value that couldn't be read cleanly
+function keepCorruptCopy(key, raw, problems) {
+  const copies = listCorruptCopies().filter((copy) => copy.key === key);
+  if (copies.some((copy) => copy.raw === raw)) {
+    return;
+  }
+  copies.slice(MAX_CORRUPT_COPIES - 1).forEach((copy) => removeCorruptCopy(copy.id));
+
+  const savedAt = Date.now();
+  console.warn(`Saved data "${key}" was damaged; kept a copy.`, problems);
+  try {
+    localStorage.setItem(
+      `${CORRUPT_PREFIX}${key}:${savedAt}`,
+      JSON.stringify({ key, savedAt, problems, raw })
+    );
+  } catch (err) {
+    console.warn(`Could not keep a copy of "${key}".`, err);
+  }
+}
+
+// Load, migrate and validate a store's value.
+// Returns store.fallback when nothing (usable) is saved.
+export function readStore(store, key = store.key) {
+  const raw = localStorage.getItem(key);
+  if (raw === null) {
+    return store.fallback;
+  }
+
+  const problems = [];
+  try {
+    const { version, data } = unwrap(JSON.parse(raw));
+    if (version > storeVersion(store)) {
+      throw new Error(`Saved by a newer version of the app (v${version})`);
+    }
+
+    const migrated = store.migrations
+      .slice(version)
+      .reduce((value, migrate) => migrate(value), data);
+    const value = store.validate(migrated, (problem) => problems.push(problem));
+
+    if (problems.length > 0) {
+      keepCorruptCopy(key, raw, problems);
+    }
+    return value;
+  } catch (err) {
+    keepCorruptCopy(key, raw, [...problems, err.message]);
+    return store.fallback;
+  }
+}
+
+// Save a store's value at the current schema version
+export function writeStore(store, value, key = store.key) {
+  try {
+    localStorage.setItem(key, JSON.stringify({ version: storeVersion(store), data: value }));
+  } catch (err) {
+    console.warn(`Could not save "${key}".`, err);
+  }
+}
+
+// Delete a store's saved value
+export function removeStore(store, key = store.key) {
+  try {
+    localStorage.removeItem(key);
+  } catch (err) {
+    console.warn(`Could not delete "${key}".`, err);
+  }
+}
@@ -0,0 +1,418 @@
+import defaultSettings from '../data/settings.json';
+import { END_BEHAVIOR_OPTIONS } from './playback';
+import { GATE_METHODS, DEFAULT_GATE_METHODS } from './parentLock';
+import {
+  CHALLENGE_TYPES,
+  DIFFICULTIES,
+  DEFAULT_CHALLENGES,
+  DEFAULT_DIFFICULTY
+} from './challenges';
+
+/**
+ * Persisted stores
+ *
+ * One definition per localStorage key, read and written through
+ * storage.js. To change a saved shape, append a migration to the store
+ * (never edit or reorder existing ones) and update its validation.
+ *
+ * Per-profile stores are saved under "<key>:<profileId>"
+ * (see profileStorageKey).
+ */
+
+const VIDEO_ID = /^[\w-]{11}$/;
+const TIME = /^\d{2}:\d{2}$/;
+const END_MODES = new Set(END_BEHAVIOR_OPTIONS.map((option) => option.value.mode));
+const GATE_METHOD_VALUES = new Set(GATE_METHODS.map((method) => method.value));
+const CHALLENGE_VALUES = new Set(CHALLENGE_TYPES.map((type) => type.value));
+const DIFFICULTY_VALUES = new Set(DIFFICULTIES.map((difficulty) => difficulty.value));
+
+// Version 1 wraps the plain JSON saved before versioning; the data is unchanged
+const fromUnversioned = (data) => data;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+const isCount = (value) => Number.isFinite(value) && value >= 0;
+
+// Keep the valid entries of a list, reporting the others
+function cleanList(list, cleanEntry, onInvalid, label) {
+  if (!Array.isArray(list)) {
+    throw new Error(`${label} is not a list`);
+  }
+  return list.reduce((kept, raw, index) => {
+    const entry = cleanEntry(raw);
+    if (entry) {
+      kept.push(entry);
+    } else {
+      onInvalid(`${label} entry ${index + 1} is invalid`);
+    }
+    return kept;
+  }, []);
+}
+
+// Salted hash of a secret (see parentLock.js)
+function isSecret(value) {
+  return (
+    isObject(value) &&
+    isText(value.salt) &&
+    isText(value.hash) &&
+    Number.isInteger(value.iterations) &&
+    value.iterations > 0
+  );
+}
+
+function isEndBehavior(value) {
+  return isObject(value) && END_MODES.has(value.mode);
+}
+
+function isSchedule(value) {
+  return (
+    isObject(value) &&
+    typeof value.enabled === 'boolean' &&
+    Array.isArray(value.windows) &&
+    value.windows.every(
+      (w) =>
+        isObject(w) &&
+        Array.isArray(w.days) &&
+        w.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6) &&
+        TIME.test(w.start) &&
+        TIME.test(w.end)
+    )
+  );
+}
+
+// Checks for each known setting; unknown settings are kept as they are
+const SETTING_CHECKS = {
+  dailyLimitMinutes: isCount,
+  windDownMinutes: (value) => Number.isFinite(value) && value > 0,
+  endBehavior: isEndBehavior,
+  localPlayback: (value) => value === 'prefer' || value === 'fallback',
+  maxVolume: (value) => Number.isInteger(value) && value >= 10 && value <= 100,
+  schedule: isSchedule
+};
+
+// Settings with defaults filled in and invalid values reset
+export function cleanSettings(raw, onInvalid) {
+  if (!isObject(raw)) {
+    onInvalid('Settings are not an object');
+    return defaultSettings;
+  }
+  const settings = { ...defaultSettings, ...raw };
+  Object.entries(SETTING_CHECKS).forEach(([name, check]) => {
+    if (!check(settings[name])) {
+      onInvalid(`Setting "${name}" is invalid`);
+      settings[name] = defaultSettings[name];
+    }
+  });
+  return settings;
+}
+
+function cleanVideo(raw) {
+  const valid =
+    isObject(raw) &&
+    typeof raw.id === 'string' &&
+    VIDEO_ID.test(raw.id) &&
+    isText(raw.title) &&
+    typeof raw.emoji === 'string' &&
+    typeof raw.color === 'string' &&
+    (raw.endBehavior === undefined || isEndBehavior(raw.endBehavior));
+  return valid ? raw : null;
+}
+
+function cleanCollection(raw) {
+  const valid =
+    isObject(raw) &&
+    isText(raw.id) &&
+    isText(raw.title) &&
+    (raw.endBehavior === undefined || isEndBehavior(raw.endBehavior));
+  return valid ? raw : null;
+}
+
+// Profile with its library, collections and settings checked entry by entry
+function cleanProfile(raw, onInvalid) {
+  if (!isObject(raw) || !isText(raw.id) || !isText(raw.name) || typeof raw.avatar !== 'string') {
+    return null;
+  }
+  const label = `Profile "${raw.name}"`;
+  return {
+    ...raw,
+    library: cleanList(raw.library, cleanVideo, onInvalid, `${label} video`),
+    collections: cleanList(raw.collections || [], cleanCollection, onInvalid, `${label} collection`),
+    settings: cleanSettings(raw.settings, onInvalid)
+  };
+}
+
+// { activeProfileId, profiles: [...] }
+export const PROFILES_STORE = {
+  key: 'kidsProfiles',
+  migrations: [fromUnversioned],
+  fallback: null,
+  validate(data, onInvalid) {
+    if (!isObject(data)) {
+      throw new Error('Profiles are not an object');
+    }
+    const profiles = cleanList(
+      data.profiles,
+      (raw) => {
+        try {
+          return cleanProfile(raw, onInvalid);
+        } catch (err) {
+          onInvalid(err.message);
+          return null;
+        }
+      },
+      onInvalid,
+      'Profile'
+    );
+    if (profiles.length === 0) {
+      throw new Error('No valid profiles');
+    }
+    const activeProfileId = profiles.some((p) => p.id === data.activeProfileId)
+      ? data.activeProfileId
+      : profiles[0].id;
+    return { activeProfileId, profiles };
+  }
+};
+
+// Single library from before profiles existed: [{ id, title, emoji, color }]
+export const LEGACY_LIBRARY_STORE = {
+  key: 'kidsVideoLibrary',
+  migrations: [fromUnversioned],
+  fallback: null,
+  validate(data, onInvalid) {
+    const library = cleanList(data, cleanVideo, onInvalid, 'Video');
+    if (library.length === 0) {
+      throw new Error('No valid videos');
+    }
+    return library;
+  }
+};
+
+// Settings from before profiles existed
+export const LEGACY_SETTINGS_STORE = {
+  key: 'kidsSettings',
+  migrations: [fromUnversioned],
+  fallback: null,
+  validate: cleanSettings
+};
+
+// Per profile: { profileId, date, secondsWatched, unlocked }
+export const SCREEN_TIME_STORE = {
+  key: 'kidsScreenTime',
+  migrations: [fromUnversioned],
+  fallback: null,
+  validate(data) {
+    if (!isObject(data) || typeof data.date !== 'string' || !isCount(data.secondsWatched)) {
+      throw new Error('Screen time record is invalid');
+    }
+    return { ...data, unlocked: data.unlocked === true };
+  }
+};
+
+// Per profile: { [videoId]: { position, duration, updatedAt } }
+export const PLAYBACK_POSITIONS_STORE = {
+  key: 'kidsPlaybackPositions',
+  migrations: [fromUnversioned],
+  fallback: {},
+  validate(data, onInvalid) {
+    if (!isObject(data)) {
+      throw new Error('Playback positions are not an object');
+    }
+    return Object.fromEntries(
+      Object.entries(data).filter(([videoId, entry]) => {
+        const valid = isObject(entry) && isCount(entry.position) && isCount(entry.duration);
+        if (!valid) {
+          onInvalid(`Playback position for ${videoId} is invalid`);
+        }
+        return valid;
+      })
+    );
+  }
+};
+
+// Per profile: [{ videoId, title, emoji, startedAt, secondsWatched, finished }]
+export const WATCH_HISTORY_STORE = {
+  key: 'kidsWatchHistory',
+  migrations: [fromUnversioned],
+  fallback: [],
+  validate(data, onInvalid) {
+    return cleanList(
+      data,
+      (raw) =>
+        isObject(raw) &&
+        typeof raw.videoId === 'string' &&
+        typeof raw.title === 'string' &&
+        Number.isFinite(raw.startedAt) &&
+        isCount(raw.secondsWatched)
+          ? raw
+          : null,
+      onInvalid,
+      'History'
+    );
+  }
+};
+
+// Per profile: end of the parent's "+15 minutes" schedule override (ms since
+// epoch, 0 = none). Saved under the plain key by versions without per-profile
+// overrides; that value is ignored.
+export const SCHEDULE_OVERRIDE_STORE = {
+  key: 'kidsScheduleOverride',
+  migrations: [fromUnversioned],
+  fallback: 0,
+  validate(data) {
+    if (!isCount(data)) {
+      throw new Error('Schedule override is not a time');
+    }
+    return data;
+  }
+};
+
+// Version 1 turned the "math" gate method into "challenge", with a choice
+// of challenge types and difficulty
+function toGateChallenges(data) {
+  if (!isObject(data)) {
+    return data;
+  }
+  return {
+    ...data,
+    methods: Array.isArray(data.methods)
+      ? data.methods.map((method) => (method === 'math' ? 'challenge' : method))
+      : data.methods,
+    challenges: DEFAULT_CHALLENGES,
+    difficulty: DEFAULT_DIFFICULTY
+  };
+}
+
+// Parent lock: { pin, recovery: { question, salt, hash, iterations }, methods,
+// challenges, difficulty, pinPromptDismissed }. pin and recovery are null
+// until a PIN is set.
+export const PARENT_LOCK_STORE = {
+  key: 'kidsParentLock',
+  migrations: [toGateChallenges],
+  fallback: {
+    pin: null,
+    recovery: null,
+    methods: DEFAULT_GATE_METHODS,
+    challenges: DEFAULT_CHALLENGES,
+    difficulty: DEFAULT_DIFFICULTY,
+    pinPromptDismissed: false
+  },
+  validate(data, onInvalid) {
+    if (!isObject(data)) {
+      throw new Error('Parent lock is not an object');
+    }
+    const pin = isSecret(data.pin) ? data.pin : null;
+    if (data.pin !== null && !pin) {
+      onInvalid('Parent PIN is invalid');
+    }
+    const recovery =
+      pin && isSecret(data.recovery) && isText(data.recovery.question) ? data.recovery : null;
+    if (pin && data.recovery !== null && !recovery) {
+      onInvalid('Recovery question is invalid');
+    }
+    let methods = Array.isArray(data.methods)
+      ? data.methods.filter((method) => GATE_METHOD_VALUES.has(method) && (method !== 'pin' || pin))
+      : [];
+    if (methods.length === 0) {
+      onInvalid('No valid gate methods');
+      methods = DEFAULT_GATE_METHODS;
+    }
+    let challenges = Array.isArray(data.challenges)
+      ? data.challenges.filter((type) => CHALLENGE_VALUES.has(type))
+      : [];
+    if (challenges.length === 0) {
+      onInvalid('No valid challenge types');
+      challenges = DEFAULT_CHALLENGES;
+    }
+    let { difficulty } = data;
+    if (!DIFFICULTY_VALUES.has(difficulty)) {
+      onInvalid('Challenge difficulty is invalid');
+      difficulty = DEFAULT_DIFFICULTY;
+    }
+    return {
+      pin,
+      recovery,
+      methods,
+      challenges,
+      difficulty,
+      pinPromptDismissed: data.pinPromptDismissed === true
+    };
+  }
+};
+
+// Failed parental gate attempts: { failures, lockedUntil } (ms since epoch, 0 = not locked)
+export const GATE_LOCKOUT_STORE = {
+  key: 'kidsGateLockout',
+  migrations: [],
+  fallback: { failures: 0, lockedUntil: 0 },
+  validate(data) {
+    if (!isObject(data) || !isCount(data.failures) || !isCount(data.lockedUntil)) {
+      throw new Error('Gate lockout record is invalid');
+    }
+    return { failures: data.failures, lockedUntil: data.lockedUntil };
+  }
+};
+
+// Per profile: videos removed from the library, newest first
+// (see libraryHistory.js): [{ video, deletedAt }]
+export const RECYCLE_BIN_STORE = {
+  key: 'kidsRecycleBin',
+  migrations: [],
+  fallback: [],
+  validate(data, onInvalid) {
+    return cleanList(
+      data,
+      (raw) =>
+        isObject(raw) && Number.isFinite(raw.deletedAt) && cleanVideo(raw.video) ? raw : null,
+      onInvalid,
+      'Recycle bin'
+    );
+  }
+};
+
+// Per profile: library snapshots to roll back to, newest first
+// (see libraryHistory.js): [{ id, label, createdAt, videos, collections }]
+export const LIBRARY_SNAPSHOTS_STORE = {
+  key: 'kidsLibrarySnapshots',
+  migrations: [],
+  fallback: [],
+  validate(data, onInvalid) {
+    return cleanList(
+      data,
+      (raw) => {
+        // A snapshot without a video list is dropped on its own, keeping the others
+        if (
+          !isObject(raw) ||
+          !isText(raw.id) ||
+          !Number.isFinite(raw.createdAt) ||
+          !Array.isArray(raw.videos) ||
+          (raw.collections !== undefined && !Array.isArray(raw.collections))
+        ) {
+          return null;
+        }
+        const label = `Snapshot "${raw.label}"`;
+        return {
+          ...raw,
+          videos: cleanList(raw.videos, cleanVideo, onInvalid, `${label} video`),
+          collections: cleanList(
+            raw.collections || [],
+            cleanCollection,
+            onInvalid,
+            `${label} collection`
+          )
+        };
+      },
+      onInvalid,
+      'Snapshot'
+    );
+  }
+};
+
+// Stores saved per profile, deleted together with the profile
+export const PROFILE_STORES = [
+  SCREEN_TIME_STORE,
+  PLAYBACK_POSITIONS_STORE,
+  WATCH_HISTORY_STORE,
+  SCHEDULE_OVERRIDE_STORE,
+  RECYCLE_BIN_STORE,
+  LIBRARY_SNAPSHOTS_STORE
+];
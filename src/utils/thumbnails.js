@@ -0,0 +1,21 @@
+import bundledIds from 'virtual:bundled-thumbnails';
+import { resolveAppUrl } from './config';
+
+/**
+ * Thumbnail helpers
+ *
+ * Thumbnails of the default libraries are bundled into the build (see
+ * scripts/vite-plugin-thumbnails.js) so a fresh install shows them without
+ * internet; other videos use YouTube's thumbnail.
+ */
+
+const BUNDLED_IDS = new Set(bundledIds);
+
+// Best thumbnail URL for a video. `size` is the YouTube variant used when
+// nothing is bundled: 'mqdefault' (320x180) or 'default' (120x90).
+export function getThumbnailUrl(videoId, size = 'mqdefault') {
+  if (BUNDLED_IDS.has(videoId)) {
+    return resolveAppUrl(`thumbnails/${videoId}.jpg`);
+  }
+  return `https://img.youtube.com/vi/${videoId}/${size}.jpg`;
+}
@@ -0,0 +1,122 @@
+/**
+ * ffmpeg post-processing for downloaded videos (used by download-videos.js)
+ *
+ * - transcodeVideo: re-encode to a size-capped H.264/AAC MP4 that every
+ *   tablet can play, with loudness normalized (EBU R128) so one cartoon
+ *   isn't much louder than the next
+ * - extractPoster: save one frame as <id>.jpg for the grid and the player
+ *
+ * The ffmpeg command is injectable (--ffmpeg / $FFMPEG) like the downloader.
+ */
+
+const { execFileSync, spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Loudness target: -16 LUFS integrated, -1.5 dBTP peak (typical for mobile)
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+const AUDIO_BITRATE = '128k';
+const POSTER_WIDTH = 640;
+const POSTER_MAX_SECONDS = 10; // Poster frame: 10% in, but no later than this
+const POSTER_DEFAULT_SECONDS = 3; // When the duration isn't known
+const OUTPUT_TAIL_LENGTH = 300;
+
+// Check that the ffmpeg command can run
+function checkFfmpeg(command) {
+  try {
+    execFileSync(command, ['-version'], { stdio: 'pipe' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Run a command; resolves with the last line of its output, rejects on failure
+function runCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let outputTail = '';
+    const collect = (chunk) => {
+      outputTail = (outputTail + chunk).slice(-OUTPUT_TAIL_LENGTH);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    child.on('close', (code) => {
+      const lines = outputTail.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+      const lastLine = lines[lines.length - 1] || '';
+      if (code === 0) {
+        resolve(lastLine);
+      } else {
+        reject(new Error(lastLine || `${command} exited with code ${code}`));
+      }
+    });
+    child.on('error', reject);
+  });
+}
+
+// Re-encode <dir>/<file> to <dir>/<id>.mp4. Returns the new file name.
+async function transcodeVideo(ffmpeg, outputDir, videoId, file, { maxHeight, videoBitrate }) {
+  const input = path.join(outputDir, file);
+  const outputFile = `${videoId}.mp4`;
+  // .temp files are ignored when looking for finished downloads
+  const tempPath = path.join(outputDir, `${outputFile}.temp`);
+
+  try {
+    await runCommand(ffmpeg, [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-i', input,
+      '-map', '0:v:0', '-map', '0:a:0?',
+      '-c:v', 'libx264', '-preset', 'medium', '-crf', '26',
+      '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+      '-maxrate', `${videoBitrate}k`, '-bufsize', `${videoBitrate * 2}k`,
+      '-vf', `scale=-2:'min(${maxHeight},ih)'`,
+      '-c:a', 'aac', '-b:a', AUDIO_BITRATE, '-ac', '2',
+      '-af', LOUDNORM_FILTER,
+      '-movflags', '+faststart',
+      '-f', 'mp4', tempPath
+    ]);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+
+  if (file !== outputFile) {
+    fs.rmSync(input, { force: true });
+  }
+  fs.renameSync(tempPath, path.join(outputDir, outputFile));
+  return outputFile;
+}
+
+// Save a poster frame as <dir>/<id>.jpg. Returns the poster file name.
+async function extractPoster(ffmpeg, outputDir, videoId, file, duration) {
+  const posterFile = `${videoId}.jpg`;
+  const posterPath = path.join(outputDir, posterFile);
+  const seconds = duration
+    ? Math.min(duration * 0.1, POSTER_MAX_SECONDS)
+    : POSTER_DEFAULT_SECONDS;
+
+  const grabFrame = (at) =>
+    runCommand(ffmpeg, [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-ss', String(at),
+      '-i', path.join(outputDir, file),
+      '-frames:v', '1',
+      '-vf', `scale=${POSTER_WIDTH}:-2`,
+      '-q:v', '4',
+      posterPath
+    ]);
+
+  fs.rmSync(posterPath, { force: true });
+  await grabFrame(seconds);
+  // Very short video - seeking went past the end, use the first frame
+  if (!fs.existsSync(posterPath)) {
+    await grabFrame(0);
+  }
+  if (!fs.existsSync(posterPath)) {
+    throw new Error('No frame could be extracted');
+  }
+  return posterFile;
+}
+
+module.exports = { checkFfmpeg, transcodeVideo, extractPoster };
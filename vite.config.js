@@ -1,14 +1,20 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import { VitePWA } from 'vite-plugin-pwa';
+import bundledThumbnails from './scripts/vite-plugin-thumbnails';
+// Generated by scripts/generate-icons.js
+import pwaAssets from './scripts/pwa-assets.json';
 
 export default defineConfig({
-  base: '/sandboxView/',
+  // Relative, so one build works under any path (see public/config.json)
+  base: './',
   plugins: [
     react(),
+    bundledThumbnails(),
     VitePWA({
-      registerType: 'autoUpdate',
-      includeAssets: ['icon-192.svg', 'icon-512.svg', 'robots.txt'],
+      // Updates wait for a parent to apply them in settings (hooks/useAppUpdate)
+      registerType: 'prompt',
+      includeAssets: ['icon-192.svg', 'favicon.ico', 'apple-touch-icon.png', 'robots.txt'],
       manifest: {
         name: 'Kids Video Player',
         short_name: 'KidsVideos',
@@ -17,37 +23,53 @@ export default defineConfig({
         background_color: '#1a1a2e',
         display: 'standalone',
         orientation: 'any',
-        scope: '/sandboxView/',
-        start_url: '/sandboxView/',
-        icons: [
+        scope: './',
+        start_url: './',
+        icons: pwaAssets.icons
+      },
+      workbox: {
+        // Splash screens are only read by iOS when installing, so not precached
+        globPatterns: [
+          '**/*.{js,css,html,ico,svg,woff2}',
+          'icons/*.png',
+          'apple-touch-icon.png',
+          'thumbnails/*.jpg'
+        ],
+        runtimeCaching: [
           {
-            src: 'icon-192.svg',
-            sizes: '192x192',
-            type: 'image/svg+xml'
+            // Runtime configuration - fresh when online, cached for offline
+            urlPattern: /\/config\.json$/,
+            handler: 'NetworkFirst',
+            options: {
+              cacheName: 'app-config'
+            }
           },
           {
-            src: 'icon-512.svg',
-            sizes: '512x512',
-            type: 'image/svg+xml'
+            // List of bundled videos - fresh when online, cached for offline
+            urlPattern: /\/videos\/manifest\.json$/,
+            handler: 'NetworkFirst',
+            options: {
+              cacheName: 'video-manifest'
+            }
           },
           {
-            src: 'icon-512.svg',
-            sizes: '512x512',
-            type: 'image/svg+xml',
-            purpose: 'maskable'
-          }
-        ]
-      },
-      workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2}'],
-        runtimeCaching: [
+            // Poster frames of bundled videos (npm run download-videos -- --posters)
+            urlPattern: /\/videos\/[^/]+\.jpg$/,
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'video-posters',
+              expiration: {
+                maxEntries: 500
+              }
+            }
+          },
           {
             urlPattern: /^https:\/\/img\.youtube\.com\/.*/i,
             handler: 'CacheFirst',
             options: {
               cacheName: 'youtube-thumbnails',
               expiration: {
-                maxEntries: 50,
+                maxEntries: 200,
                 maxAgeSeconds: 60 * 60 * 24 * 30
               },
               cacheableResponse: {